@@ -0,0 +1,799 @@
+import { useCallback, useEffect, useState } from "react";
+import {
+  addAdminLeadNote,
+  downloadAdminLeadExport,
+  downloadReportPdf,
+  fetchAdminLead,
+  fetchAdminLeadDuplicates,
+  fetchAdminLeads,
+  fetchAdminStats,
+  fetchEmailTemplates,
+  fetchMe,
+  importProspects,
+  loginStaff,
+  mergeAdminLeads,
+  previewEmailTemplate,
+  updateAdminLead
+} from "./api.js";
+
+// Holds either a staff session token or an API key
+const KEY_STORAGE = "beacon_admin_key";
+const TIERS = ["Starter", "Business", "Premium"];
+
+const EMPTY_FILTERS = { q: "", status: "", tier: "", minScore: "", maxScore: "", engaged: "", from: "", to: "", sort: "" };
+
+const SORT_OPTIONS = [
+  { value: "", label: "Newest" },
+  { value: "last_seen_at", label: "Last scanned" },
+  { value: "scan_count", label: "Most scans" },
+  { value: "engagement_score", label: "Most engaged" },
+  { value: "score", label: "Highest score" }
+];
+
+export default function AdminApp() {
+  const [token, setToken] = useState(() => sessionStorage.getItem(KEY_STORAGE) || "");
+  const [actor, setActor] = useState(null);
+  const [useApiKey, setUseApiKey] = useState(false);
+  const [keyInput, setKeyInput] = useState("");
+  const [loginEmail, setLoginEmail] = useState("");
+  const [loginPassword, setLoginPassword] = useState("");
+
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
+
+  const [leads, setLeads] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [pageSize, setPageSize] = useState(25);
+  const [stats, setStats] = useState(null);
+
+  const [selectedId, setSelectedId] = useState(null);
+  const [detail, setDetail] = useState(null);
+  const [noteText, setNoteText] = useState("");
+
+  // Email template preview
+  const [showTemplates, setShowTemplates] = useState(false);
+  const [templateInfo, setTemplateInfo] = useState(null);
+  const [preview, setPreview] = useState({ name: "report", locale: "", format: "html" });
+  const [previewBody, setPreviewBody] = useState("");
+
+  // Prospect CSV import
+  const [showImport, setShowImport] = useState(false);
+  const [importFile, setImportFile] = useState(null);
+  const [importResult, setImportResult] = useState(null);
+
+  const [error, setError] = useState("");
+  const [loaded, setLoaded] = useState(false);
+
+  // -------------------------
+  // Helpers
+  // -------------------------
+  function formatDate(value) {
+    if (!value) return "";
+    return new Date(value).toLocaleString();
+  }
+
+  function formatMoney(amount) {
+    const n = Number(amount);
+    if (!Number.isFinite(n)) return "";
+    return n.toLocaleString("en-US", { style: "currency", currency: "USD" });
+  }
+
+  const handleError = useCallback((err) => {
+    console.error(err);
+    if (err?.status === 401) {
+      sessionStorage.removeItem(KEY_STORAGE);
+      setToken("");
+    }
+    setError(err?.error || err?.message || "Request failed.");
+  }, []);
+
+  const loadLeads = useCallback(() => {
+    if (!token) return Promise.resolve();
+    return Promise.all([fetchAdminLeads(token, { ...appliedFilters, page }), fetchAdminStats(token)])
+      .then(([list, counts]) => {
+        setLeads(list.leads);
+        setTotal(list.total);
+        setPageSize(list.pageSize);
+        setStats(counts);
+        setError("");
+      })
+      .catch(handleError)
+      .finally(() => setLoaded(true));
+  }, [token, appliedFilters, page, handleError]);
+
+  const loadDetail = useCallback(
+    (id) => {
+      if (!token || !id) return Promise.resolve();
+      return Promise.all([fetchAdminLead(token, id), fetchAdminLeadDuplicates(token, id)])
+        .then(([lead, dupes]) => setDetail({ ...lead, duplicates: dupes.duplicates }))
+        .catch(handleError);
+    },
+    [token, handleError]
+  );
+
+  useEffect(() => {
+    if (!token) return;
+    fetchMe(token).then(setActor).catch(handleError);
+  }, [token, handleError]);
+
+  useEffect(() => {
+    loadLeads();
+  }, [loadLeads]);
+
+  useEffect(() => {
+    loadDetail(selectedId);
+  }, [selectedId, loadDetail]);
+
+  useEffect(() => {
+    if (!token || !showTemplates) return;
+    fetchEmailTemplates(token).then(setTemplateInfo).catch(handleError);
+  }, [token, showTemplates, handleError]);
+
+  useEffect(() => {
+    if (!token || !showTemplates) return;
+    previewEmailTemplate(token, preview.name, preview)
+      .then(setPreviewBody)
+      .catch((err) => setPreviewBody(err?.error || "Preview failed."));
+  }, [token, showTemplates, preview]);
+
+  async function handleLogin(e) {
+    e.preventDefault();
+
+    if (useApiKey) {
+      const key = keyInput.trim();
+      if (!key) return;
+      sessionStorage.setItem(KEY_STORAGE, key);
+      setToken(key);
+      setKeyInput("");
+      return;
+    }
+
+    try {
+      const session = await loginStaff(loginEmail.trim(), loginPassword);
+      sessionStorage.setItem(KEY_STORAGE, session.token);
+      setActor(session.actor);
+      setToken(session.token);
+      setLoginPassword("");
+      setError("");
+    } catch (err) {
+      setError(err?.error || "Sign in failed.");
+    }
+  }
+
+  function handleLogout() {
+    sessionStorage.removeItem(KEY_STORAGE);
+    setToken("");
+    setActor(null);
+    setLeads([]);
+    setDetail(null);
+    setSelectedId(null);
+  }
+
+  function applyFilters(e) {
+    e.preventDefault();
+    setPage(1);
+    setAppliedFilters(filters);
+  }
+
+  function resetFilters() {
+    setFilters(EMPTY_FILTERS);
+    setAppliedFilters(EMPTY_FILTERS);
+    setPage(1);
+  }
+
+  async function handleStatusChange(status) {
+    if (!detail?.lead) return;
+    try {
+      await updateAdminLead(token, detail.lead.id, { status });
+      await Promise.all([loadDetail(detail.lead.id), loadLeads()]);
+    } catch (err) {
+      handleError(err);
+    }
+  }
+
+  async function handleAddNote(e) {
+    e.preventDefault();
+    const text = noteText.trim();
+    if (!text || !detail?.lead) return;
+    try {
+      await addAdminLeadNote(token, detail.lead.id, text);
+      setNoteText("");
+      await loadDetail(detail.lead.id);
+    } catch (err) {
+      handleError(err);
+    }
+  }
+
+  async function handleMerge() {
+    const ids = (detail?.duplicates || []).map((d) => d.id);
+    if (!ids.length) return;
+    if (!window.confirm(`Merge ${ids.length} duplicate lead${ids.length === 1 ? "" : "s"} into this one? The duplicates will be deleted.`)) return;
+    try {
+      await mergeAdminLeads(token, detail.lead.id, ids);
+      await Promise.all([loadDetail(detail.lead.id), loadLeads()]);
+    } catch (err) {
+      handleError(err);
+    }
+  }
+
+  function saveBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  async function handleExport(format) {
+    try {
+      // Same leads as the list, in the export's own (oldest first) order
+      const blob = await downloadAdminLeadExport(token, { ...appliedFilters, sort: "" }, format);
+      saveBlob(blob, `beacon-leads-${new Date().toISOString().slice(0, 10)}.${format}`);
+    } catch (err) {
+      handleError(err);
+    }
+  }
+
+  async function handleImportFile(e) {
+    const file = e.target.files?.[0];
+    setImportResult(null);
+    setImportFile(file ? { name: file.name, text: await file.text() } : null);
+  }
+
+  async function handleImport(dryRun) {
+    if (!importFile) return;
+    try {
+      setImportResult(await importProspects(token, importFile.text, { dryRun }));
+      setError("");
+    } catch (err) {
+      handleError(err);
+    }
+  }
+
+  async function handleDownloadPdf() {
+    if (!detail?.report) return;
+    try {
+      const blob = await downloadReportPdf(token, detail.report.id, detail.lead.id);
+      saveBlob(blob, `beacon-report-${detail.report.domain || "website"}.pdf`);
+    } catch (err) {
+      handleError(err);
+    }
+  }
+
+  const totalPages = Math.max(1, Math.ceil(total / pageSize));
+  const canWrite = Boolean(actor?.permissions?.includes("leads:write"));
+
+  // -------------------------
+  // Styles
+  // -------------------------
+  const styles = {
+    page: {
+      minHeight: "100vh",
+      width: "100%",
+      boxSizing: "border-box",
+      padding: "28px 32px 60px",
+      color: "#e5e7eb",
+      background: "linear-gradient(180deg, #041024 0%, #020617 100%)"
+    },
+    header: { display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12, marginBottom: 18 },
+    title: { margin: 0, fontSize: 24, fontWeight: 950 },
+    panel: {
+      borderRadius: 18,
+      padding: 16,
+      background: "rgba(0,0,0,0.22)",
+      border: "1px solid rgba(255,255,255,0.12)"
+    },
+    layout: { display: "grid", gridTemplateColumns: "minmax(0, 3fr) minmax(320px, 2fr)", gap: 14, alignItems: "start" },
+    filterRow: { display: "flex", flexWrap: "wrap", gap: 8, marginBottom: 12 },
+    input: {
+      padding: "8px 10px",
+      borderRadius: 10,
+      border: "1px solid rgba(255,255,255,0.18)",
+      background: "rgba(255,255,255,0.07)",
+      color: "#f9fafb",
+      fontSize: 13
+    },
+    btn: {
+      padding: "8px 12px",
+      borderRadius: 10,
+      border: "1px solid rgba(255,255,255,0.18)",
+      background: "rgba(255,255,255,0.06)",
+      color: "#f9fafb",
+      fontWeight: 800,
+      cursor: "pointer"
+    },
+    primaryBtn: {
+      padding: "8px 12px",
+      borderRadius: 10,
+      border: "1px solid rgba(92,200,255,0.45)",
+      background: "rgba(92,200,255,0.18)",
+      color: "#eaf6ff",
+      fontWeight: 900,
+      cursor: "pointer"
+    },
+    table: { width: "100%", borderCollapse: "collapse", fontSize: 13 },
+    th: { textAlign: "left", padding: "8px 6px", color: "rgba(229,231,235,0.70)", borderBottom: "1px solid rgba(255,255,255,0.12)" },
+    td: { padding: "8px 6px", borderBottom: "1px solid rgba(255,255,255,0.06)" },
+    rowActive: { background: "rgba(92,200,255,0.10)" },
+    muted: { fontSize: 12, color: "rgba(229,231,235,0.70)" },
+    statRow: { display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 14 },
+    stat: {
+      padding: "8px 12px",
+      borderRadius: 12,
+      border: "1px solid rgba(255,255,255,0.12)",
+      background: "rgba(255,255,255,0.04)",
+      cursor: "pointer"
+    },
+    error: {
+      marginBottom: 12,
+      padding: 10,
+      borderRadius: 12,
+      border: "1px solid rgba(239,68,68,0.35)",
+      background: "rgba(239,68,68,0.12)"
+    },
+    timelineItem: { padding: "8px 0", borderBottom: "1px solid rgba(255,255,255,0.06)", fontSize: 13 }
+  };
+
+  if (!token) {
+    return (
+      <div style={styles.page}>
+        <form onSubmit={handleLogin} style={{ ...styles.panel, maxWidth: 420, margin: "80px auto" }}>
+          <h2 style={styles.title}>Beacon AI Admin</h2>
+          <div style={{ ...styles.muted, margin: "8px 0 14px" }}>
+            {useApiKey ? "Enter an API key to continue." : "Sign in with your staff account."}
+          </div>
+          {error && <div style={styles.error}>{error}</div>}
+          {useApiKey ? (
+            <input
+              type="password"
+              value={keyInput}
+              onChange={(e) => setKeyInput(e.target.value)}
+              placeholder="API key"
+              style={{ ...styles.input, width: "100%", boxSizing: "border-box" }}
+            />
+          ) : (
+            <div style={{ display: "grid", gap: 8 }}>
+              <input
+                type="email"
+                value={loginEmail}
+                onChange={(e) => setLoginEmail(e.target.value)}
+                placeholder="Email"
+                style={{ ...styles.input, width: "100%", boxSizing: "border-box" }}
+              />
+              <input
+                type="password"
+                value={loginPassword}
+                onChange={(e) => setLoginPassword(e.target.value)}
+                placeholder="Password"
+                style={{ ...styles.input, width: "100%", boxSizing: "border-box" }}
+              />
+            </div>
+          )}
+          <button type="submit" style={{ ...styles.primaryBtn, marginTop: 10, width: "100%" }}>
+            Sign in
+          </button>
+          <button type="button" onClick={() => setUseApiKey(!useApiKey)} style={{ ...styles.btn, marginTop: 8, width: "100%" }}>
+            {useApiKey ? "Use email and password" : "Use an API key instead"}
+          </button>
+        </form>
+      </div>
+    );
+  }
+
+  return (
+    <div style={styles.page}>
+      <div style={styles.header}>
+        <h2 style={styles.title}>Leads</h2>
+        <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+          {actor && (
+            <span style={styles.muted}>
+              {actor.email || actor.name} · {actor.role}
+            </span>
+          )}
+          <button type="button" onClick={() => setShowTemplates(!showTemplates)} style={styles.btn}>
+            {showTemplates ? "Hide email templates" : "Email templates"}
+          </button>
+          {canWrite && (
+            <button type="button" onClick={() => setShowImport(!showImport)} style={styles.btn}>
+              {showImport ? "Hide import" : "Import prospects"}
+            </button>
+          )}
+          <a href="/" style={{ ...styles.btn, textDecoration: "none" }}>
+            Scanner
+          </a>
+          <button type="button" onClick={handleLogout} style={styles.btn}>
+            Sign out
+          </button>
+        </div>
+      </div>
+
+      {error && <div style={styles.error}>{error}</div>}
+
+      {showTemplates && (
+        <div style={{ ...styles.panel, marginBottom: 14 }}>
+          <div style={styles.filterRow}>
+            <select value={preview.name} onChange={(e) => setPreview({ ...preview, name: e.target.value })} style={styles.input}>
+              {(templateInfo?.templates || [preview.name]).map((t) => (
+                <option key={t} value={t}>
+                  {t}
+                </option>
+              ))}
+            </select>
+            <select value={preview.locale} onChange={(e) => setPreview({ ...preview, locale: e.target.value })} style={styles.input}>
+              <option value="">Default locale</option>
+              {(templateInfo?.locales || []).map((l) => (
+                <option key={l} value={l}>
+                  {l}
+                </option>
+              ))}
+            </select>
+            <select value={preview.format} onChange={(e) => setPreview({ ...preview, format: e.target.value })} style={styles.input}>
+              <option value="html">HTML</option>
+              <option value="text">Plain text</option>
+            </select>
+            <span style={styles.muted}>Rendered from templates/email with the sample report. Outside production, file edits show up on refresh.</span>
+          </div>
+          {preview.format === "html" ? (
+            <iframe
+              title="Email preview"
+              srcDoc={previewBody}
+              sandbox=""
+              style={{ width: "100%", height: 600, border: 0, borderRadius: 12, background: "#0b1220" }}
+            />
+          ) : (
+            <pre style={{ whiteSpace: "pre-wrap", fontSize: 13, margin: 0 }}>{previewBody}</pre>
+          )}
+        </div>
+      )}
+
+      {showImport && (
+        <div style={{ ...styles.panel, marginBottom: 14 }}>
+          <div style={styles.filterRow}>
+            <input type="file" accept=".csv,text/csv" onChange={handleImportFile} style={styles.input} />
+            <button type="button" onClick={() => handleImport(true)} disabled={!importFile} style={styles.btn}>
+              Check file
+            </button>
+            <button type="button" onClick={() => handleImport(false)} disabled={!importFile} style={styles.primaryBtn}>
+              Import
+            </button>
+            <span style={styles.muted}>
+              CSV with a header row: business name, website, email. Prospects wait for a batch scan; nobody is emailed.
+            </span>
+          </div>
+          {importResult && (
+            <div>
+              <div style={{ fontSize: 13, marginBottom: 8 }}>
+                {importResult.dryRun
+                  ? `${importResult.valid} of ${importResult.rows} rows can be imported.`
+                  : `Imported ${importResult.imported} of ${importResult.rows} rows.`}
+                {importResult.skipped.length > 0 && ` ${importResult.skipped.length} already imported.`}
+                {importResult.errors.length > 0 && ` ${importResult.errors.length} problem${importResult.errors.length === 1 ? "" : "s"}:`}
+              </div>
+              {importResult.errors.length > 0 && (
+                <table style={styles.table}>
+                  <thead>
+                    <tr>
+                      <th style={styles.th}>Row</th>
+                      <th style={styles.th}>Column</th>
+                      <th style={styles.th}>Problem</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {importResult.errors.map((e, i) => (
+                      <tr key={i}>
+                        <td style={styles.td}>{e.row}</td>
+                        <td style={styles.td}>{e.field}</td>
+                        <td style={styles.td}>{e.error}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      {stats && (
+        <div style={styles.statRow}>
+          {stats.statuses.map((s) => (
+            <button
+              type="button"
+              key={s}
+              onClick={() => {
+                const next = { ...filters, status: s };
+                setFilters(next);
+                setAppliedFilters(next);
+                setPage(1);
+              }}
+              style={{ ...styles.stat, ...(appliedFilters.status === s ? styles.rowActive : null), color: "#f9fafb" }}
+            >
+              <div style={styles.muted}>{s}</div>
+              <div style={{ fontSize: 18, fontWeight: 950 }}>{stats.counts[s]}</div>
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div style={styles.layout}>
+        <div style={styles.panel}>
+          <form onSubmit={applyFilters} style={styles.filterRow}>
+            <input
+              value={filters.q}
+              onChange={(e) => setFilters({ ...filters, q: e.target.value })}
+              placeholder="Search email, business, domain"
+              style={{ ...styles.input, flex: "1 1 200px" }}
+            />
+            <select value={filters.status} onChange={(e) => setFilters({ ...filters, status: e.target.value })} style={styles.input}>
+              <option value="">Any status</option>
+              {(stats?.statuses || []).map((s) => (
+                <option key={s} value={s}>
+                  {s}
+                </option>
+              ))}
+            </select>
+            <select value={filters.tier} onChange={(e) => setFilters({ ...filters, tier: e.target.value })} style={styles.input}>
+              <option value="">Any tier</option>
+              {TIERS.map((t) => (
+                <option key={t} value={t}>
+                  {t}
+                </option>
+              ))}
+            </select>
+            <input
+              value={filters.minScore}
+              onChange={(e) => setFilters({ ...filters, minScore: e.target.value })}
+              placeholder="Min score"
+              type="number"
+              style={{ ...styles.input, width: 90 }}
+            />
+            <input
+              value={filters.maxScore}
+              onChange={(e) => setFilters({ ...filters, maxScore: e.target.value })}
+              placeholder="Max score"
+              type="number"
+              style={{ ...styles.input, width: 90 }}
+            />
+            <select value={filters.engaged} onChange={(e) => setFilters({ ...filters, engaged: e.target.value })} style={styles.input}>
+              <option value="">Any engagement</option>
+              <option value="true">Engaged</option>
+              <option value="false">Not engaged</option>
+            </select>
+            <select value={filters.sort} onChange={(e) => setFilters({ ...filters, sort: e.target.value })} style={styles.input}>
+              {SORT_OPTIONS.map((o) => (
+                <option key={o.value} value={o.value}>
+                  {o.label}
+                </option>
+              ))}
+            </select>
+            <input value={filters.from} onChange={(e) => setFilters({ ...filters, from: e.target.value })} type="date" style={styles.input} />
+            <input value={filters.to} onChange={(e) => setFilters({ ...filters, to: e.target.value })} type="date" style={styles.input} />
+            <button type="submit" style={styles.primaryBtn}>
+              Filter
+            </button>
+            <button type="button" onClick={resetFilters} style={styles.btn}>
+              Reset
+            </button>
+            <button type="button" onClick={() => handleExport("csv")} style={styles.btn}>
+              Export CSV
+            </button>
+            <button type="button" onClick={() => handleExport("ndjson")} style={styles.btn}>
+              Export NDJSON
+            </button>
+          </form>
+
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.th}>Business</th>
+                <th style={styles.th}>Domain</th>
+                <th style={styles.th}>Email</th>
+                <th style={styles.th}>Score</th>
+                <th style={styles.th}>Engagement</th>
+                <th style={styles.th}>Tier</th>
+                <th style={styles.th}>Scans</th>
+                <th style={styles.th}>Status</th>
+                <th style={styles.th}>Created</th>
+              </tr>
+            </thead>
+            <tbody>
+              {leads.map((lead) => (
+                <tr
+                  key={lead.id}
+                  onClick={() => setSelectedId(lead.id)}
+                  style={{ cursor: "pointer", ...(lead.id === selectedId ? styles.rowActive : null) }}
+                >
+                  <td style={styles.td}>{lead.business_name}</td>
+                  <td style={styles.td}>{lead.domain}</td>
+                  <td style={styles.td}>{lead.email}</td>
+                  <td style={styles.td}>{lead.score ?? ""}</td>
+                  <td style={styles.td}>{lead.engagement_score ?? ""}</td>
+                  <td style={styles.td}>{lead.recommended_tier || ""}</td>
+                  <td style={styles.td}>{lead.scan_count ?? 1}</td>
+                  <td style={styles.td}>{lead.status || "new"}</td>
+                  <td style={styles.td}>{formatDate(lead.created_at)}</td>
+                </tr>
+              ))}
+              {!leads.length && (
+                <tr>
+                  <td colSpan={9} style={{ ...styles.td, ...styles.muted }}>
+                    {loaded ? "No leads match these filters." : "Loading..."}
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginTop: 12 }}>
+            <span style={styles.muted}>
+              {total} lead{total === 1 ? "" : "s"} · page {page} of {totalPages}
+            </span>
+            <div style={{ display: "flex", gap: 8 }}>
+              <button type="button" disabled={page <= 1} onClick={() => setPage(page - 1)} style={styles.btn}>
+                Previous
+              </button>
+              <button type="button" disabled={page >= totalPages} onClick={() => setPage(page + 1)} style={styles.btn}>
+                Next
+              </button>
+            </div>
+          </div>
+        </div>
+
+        <div style={styles.panel}>
+          {!detail?.lead || detail.lead.id !== selectedId ? (
+            <div style={styles.muted}>Select a lead to see its report, timeline and notes.</div>
+          ) : (
+            <div style={{ display: "grid", gap: 14 }}>
+              <div>
+                <div style={{ fontSize: 18, fontWeight: 950 }}>{detail.lead.business_name}</div>
+                <div style={styles.muted}>
+                  {detail.lead.contact_name ? `${detail.lead.contact_name} · ` : ""}
+                  {detail.lead.email} · {detail.lead.domain}
+                </div>
+                <div style={styles.muted}>
+                  {detail.lead.verified_at ? `Email verified ${formatDate(detail.lead.verified_at)}` : "Email not verified"}
+                  {detail.lead.email_status ? ` · Email ${detail.lead.email_status}` : ""}
+                </div>
+                <div style={styles.muted}>
+                  {detail.lead.scan_count ?? 1} scan{(detail.lead.scan_count ?? 1) === 1 ? "" : "s"} · first{" "}
+                  {formatDate(detail.lead.first_seen_at || detail.lead.created_at)} · last{" "}
+                  {formatDate(detail.lead.last_seen_at || detail.lead.created_at)}
+                </div>
+                {detail.lead.engagement && (
+                  <div style={styles.muted}>
+                    Engagement {detail.lead.engagement_score ?? 0} · {detail.lead.engagement.opens} opens ·{" "}
+                    {detail.lead.engagement.clicks} clicks · {detail.lead.engagement.rescans} rescans ·{" "}
+                    {detail.lead.engagement.visits} active days
+                  </div>
+                )}
+              </div>
+
+              {(detail.duplicates || []).length > 0 && (
+                <div>
+                  <div style={{ fontWeight: 900 }}>Possible duplicates</div>
+                  {detail.duplicates.map((d) => (
+                    <div key={d.id} style={styles.timelineItem}>
+                      {d.email} · {d.domain}{" "}
+                      <span style={styles.muted}>
+                        · {d.scan_count ?? 1} scan{(d.scan_count ?? 1) === 1 ? "" : "s"} · {d.status || "new"} · {formatDate(d.created_at)}
+                      </span>
+                    </div>
+                  ))}
+                  {canWrite && (
+                    <button type="button" onClick={handleMerge} style={{ ...styles.btn, marginTop: 8 }}>
+                      Merge into this lead
+                    </button>
+                  )}
+                </div>
+              )}
+
+              <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                <span style={styles.muted}>Status</span>
+                <select
+                  value={detail.lead.status || "new"}
+                  onChange={(e) => handleStatusChange(e.target.value)}
+                  disabled={!canWrite}
+                  style={styles.input}
+                >
+                  {(stats?.statuses || []).map((s) => (
+                    <option key={s} value={s}>
+                      {s}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <div style={{ fontWeight: 900 }}>Recommendation</div>
+                <div style={styles.muted}>
+                  {detail.lead.recommended_package_name || "None"} · {formatMoney(detail.lead.recommended_price)} →{" "}
+                  {formatMoney(detail.lead.recommended_discounted_price)} ({detail.lead.discount_code || "no code"})
+                </div>
+              </div>
+
+              {detail.report && (
+                <div>
+                  <div style={{ fontWeight: 900 }}>
+                    Report · {detail.report.score ?? "N/A"}/100{" "}
+                    <button type="button" onClick={handleDownloadPdf} style={styles.btn}>
+                      Download PDF
+                    </button>
+                  </div>
+                  <div style={{ ...styles.muted, marginTop: 4 }}>{detail.report.summary}</div>
+                  {Array.isArray(detail.report.issues) && detail.report.issues.length > 0 && (
+                    <ul style={{ margin: "8px 0 0", paddingLeft: 18, fontSize: 13 }}>
+                      {detail.report.issues.map((i) => (
+                        <li key={i.id}>
+                          {i.message} <span style={styles.muted}>({i.severity})</span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+
+              <div>
+                <div style={{ fontWeight: 900 }}>Emails</div>
+                {(detail.sends || []).length === 0 && <div style={styles.muted}>No emails sent yet.</div>}
+                {(detail.sends || []).map((m) => (
+                  <div key={m.id} style={styles.timelineItem}>
+                    <strong>{m.campaign}</strong> <span style={styles.muted}>{formatDate(m.created_at)}</span>
+                    <span style={styles.muted}>
+                      {" "}
+                      · {m.status}
+                      {m.last_clicked_at ? ` · clicked ${formatDate(m.last_clicked_at)}` : ""}
+                    </span>
+                  </div>
+                ))}
+              </div>
+
+              <div>
+                <div style={{ fontWeight: 900 }}>Timeline</div>
+                {detail.events.length === 0 && <div style={styles.muted}>No events yet.</div>}
+                {detail.events.map((e) => (
+                  <div key={e.id} style={styles.timelineItem}>
+                    <strong>{e.event_type}</strong> <span style={styles.muted}>{formatDate(e.created_at)}</span>
+                    {e.meta?.from && e.meta?.to && (
+                      <span style={styles.muted}>
+                        {" "}
+                        · {e.meta.from} → {e.meta.to}
+                      </span>
+                    )}
+                  </div>
+                ))}
+              </div>
+
+              <div>
+                <div style={{ fontWeight: 900 }}>Notes</div>
+                {detail.notes.map((n) => (
+                  <div key={n.id} style={styles.timelineItem}>
+                    <div style={{ whiteSpace: "pre-wrap" }}>{n.body}</div>
+                    <div style={styles.muted}>
+                      {n.author || "unknown"} · {formatDate(n.created_at)}
+                    </div>
+                  </div>
+                ))}
+                {canWrite && (
+                <form onSubmit={handleAddNote} style={{ display: "grid", gap: 8, marginTop: 8 }}>
+                  <textarea
+                    value={noteText}
+                    onChange={(e) => setNoteText(e.target.value)}
+                    placeholder="Add a note"
+                    rows={3}
+                    style={{ ...styles.input, resize: "vertical" }}
+                  />
+                  <button type="submit" style={styles.primaryBtn}>
+                    Add note
+                  </button>
+                </form>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,5 +1,12 @@
-import { useMemo, useState } from "react";
-import { analyzeWebsite } from "./api.js";
+import { useEffect, useMemo, useState } from "react";
+import {
+  fetchPackages,
+  fetchReportHistory,
+  prepareScanVerification,
+  resendVerificationEmail,
+  startScan,
+  watchScan
+} from "./api.js";
 import beaconLogo from "./assets/beacon-logo.png";
 
 export default function App() {
@@ -7,15 +14,16 @@ export default function App() {
   const SUPPORT_EMAIL = "support@shorelinedevco.com";
   const BOOK_CALL_URL = "https://shorelinedevco.com/contact";
 
-  // Pricing (locked)
-  const PACKAGE_PRICES = {
-    "Starter Website": 299,
-    "Business Website": 499,
-    "Premium Website": 899
+  // Display names for the server rule engine categories
+  const CATEGORY_LABELS = {
+    seo: "SEO",
+    mobile: "Mobile",
+    accessibility: "Accessibility",
+    security: "Security",
+    content: "Content & Conversion",
+    performance: "Performance"
   };
 
-  const DISCOUNT_RATE = 0.15;
-
   // Form state (simple)
   const [website, setWebsite] = useState("");
   const [businessName, setBusinessName] = useState("");
@@ -24,8 +32,25 @@ export default function App() {
 
   // App state
   const [loading, setLoading] = useState(false);
+  const [scanStatus, setScanStatus] = useState(null);
   const [error, setError] = useState("");
+  const [rateLimited, setRateLimited] = useState(false);
   const [result, setResult] = useState(null);
+  const [recommendation, setRecommendation] = useState(null);
+  const [cacheInfo, setCacheInfo] = useState(null);
+  const [emailVerification, setEmailVerification] = useState(null);
+  const [resendNote, setResendNote] = useState("");
+  const [reportUrl, setReportUrl] = useState(null);
+  const [history, setHistory] = useState(null);
+
+  // Package catalog from the server (same source the recommendation uses)
+  const [catalog, setCatalog] = useState(null);
+
+  useEffect(() => {
+    fetchPackages()
+      .then(setCatalog)
+      .catch((err) => console.error("Could not load packages:", err));
+  }, []);
 
   // -------------------------
   // Helpers
@@ -47,42 +72,17 @@ export default function App() {
     return n.toLocaleString("en-US", { style: "currency", currency: "USD" });
   }
 
-  function discountedPrice(price) {
-    const p = Number(price);
-    if (!Number.isFinite(p)) return null;
-    return Math.round(p * (1 - DISCOUNT_RATE));
-  }
-
-  function buildIssues(report) {
-    const issues = [];
-    const title = (report?.title || "").trim();
-    const meta = (report?.meta_description || "").trim();
-    const h1Raw = report?.h1_count;
-    const h1 = Number(h1Raw);
-
-    if (!title) issues.push({ key: "title_missing", label: "Missing page title (<title>)", severity: "high" });
-    if (!meta) issues.push({ key: "meta_missing", label: "Missing meta description", severity: "medium" });
-
-    if (h1Raw === null || h1Raw === undefined || Number.isNaN(h1)) {
-      issues.push({ key: "h1_unknown", label: "Could not detect H1 count", severity: "low" });
-    } else if (h1 === 0) {
-      issues.push({ key: "h1_missing", label: "No H1 found (add one clear page headline)", severity: "high" });
-    } else if (h1 > 1) {
-      issues.push({ key: "h1_multiple", label: `Multiple H1 tags found (${h1}). Use one main H1.`, severity: "medium" });
-    }
-
-    return issues;
-  }
+  const SCAN_STAGE_LABELS = {
+    queued: "Waiting in line...",
+    fetching: "Fetching your website...",
+    analyzing: "Analyzing your pages...",
+    emailing: "Emailing your report...",
+    done: "Done",
+    failed: "Failed"
+  };
 
-  function scoreFromIssues(issues) {
-    let score = 100;
-    for (const i of issues) {
-      if (i.severity === "high") score -= 20;
-      else if (i.severity === "medium") score -= 10;
-      else score -= 5;
-    }
-    return Math.max(0, Math.min(100, score));
-  }
+  // Only the in-progress stages make up the progress bar
+  const SCAN_STEPS = ["queued", "fetching", "analyzing", "emailing"];
 
   function scoreLabel(score) {
     if (score >= 90) return { text: "Excellent", tone: "good" };
@@ -104,62 +104,6 @@ export default function App() {
     return { bg: "rgba(148,163,184,0.14)", border: "rgba(148,163,184,0.35)", text: "#e2e8f0" };
   }
 
-  function recommendPackage(bn, score, issues) {
-    const has = (k) => issues.some((i) => i.key === k);
-
-    // If basics look solid, push Premium (polish + SEO depth)
-    if (issues.length === 0 && score >= 95) {
-      return {
-        name: "Premium Website",
-        reason: `Your site for ${bn} is in a strong spot. The biggest wins now are deeper SEO polish, conversion cleanup, and a more premium build experience.`,
-        bullets: ["7+ custom-structured pages", "GA4 tracking setup", "Meta tags and Open Graph setup", "Favicon included", "DNS support plus 7-day check-in"]
-      };
-    }
-
-    // On-page SEO fundamentals missing -> Business or Premium
-    if (has("title_missing") || has("meta_missing")) {
-      // If the score is lower, recommend Business first
-      if (score < 70) {
-        return {
-          name: "Business Website",
-          reason: `Your site for ${bn} is missing key SEO basics (titles and meta descriptions). The Business Website package gets those fundamentals fixed and sets you up to convert.`,
-          bullets: ["4–6 total pages (Services, FAQ, Gallery, etc.)", "GA4 tracking setup", "Open Graph setup", "DNS launch support"]
-        };
-      }
-
-      // Otherwise recommend Premium for deeper polish
-      return {
-        name: "Premium Website",
-        reason: `Your site for ${bn} needs SEO fundamentals fixed, and Premium is the best fit if you want a more complete build with stronger polish and deeper SEO setup.`,
-        bullets: ["7+ custom-structured pages", "GA4 tracking setup", "Meta tags and Open Graph setup", "Favicon included", "DNS support plus 7-day check-in"]
-      };
-    }
-
-    // Heading structure issues -> Business by default
-    if (has("h1_missing") || has("h1_multiple") || has("h1_unknown")) {
-      return {
-        name: "Business Website",
-        reason: `Your site’s page structure needs cleanup so visitors and search engines understand the page quickly. The Business Website package handles that cleanup and gives you the right foundation.`,
-        bullets: ["4–6 total pages (Services, FAQ, Gallery, etc.)", "GA4 tracking setup", "Open Graph setup", "DNS launch support"]
-      };
-    }
-
-    // Catch-all: pick based on score
-    if (score >= 80) {
-      return {
-        name: "Business Website",
-        reason: `Your site for ${bn} is close. Business Website is the best next step to tighten structure, tracking, and launch support.`,
-        bullets: ["4–6 total pages (Services, FAQ, Gallery, etc.)", "GA4 tracking setup", "Open Graph setup", "DNS launch support"]
-      };
-    }
-
-    return {
-      name: "Starter Website",
-      reason: `Your site for ${bn} needs a clean foundation. The Starter Website package gets you a professional baseline fast, then we can layer in upgrades when you’re ready.`,
-      bullets: ["3 pages: Home, About, Contact", "Mobile-friendly design", "DNS connection and launch setup"]
-    };
-  }
-
   function buildEmailBody({ businessNameValue, websiteValue, scoreValue, report, issues, recommendation }) {
     const lines = [];
     lines.push(`Business: ${businessNameValue}`);
@@ -175,10 +119,14 @@ export default function App() {
     lines.push("");
     lines.push("What we found:");
     if (!issues.length) lines.push("No major issues found from basic checks.");
-    else for (const i of issues) lines.push(`- ${i.label} (${i.severity})`);
+    else
+      for (const i of issues) {
+        lines.push(`- ${i.message} (${i.severity})`);
+        if (i.fix) lines.push(`  Fix: ${i.fix}`);
+      }
     lines.push("");
     lines.push("Recommended package:");
-    lines.push(recommendation?.name || "Not available");
+    lines.push(recommendation?.packageName || "Not available");
     if (recommendation?.reason) lines.push(recommendation.reason);
     if (recommendation?.bullets?.length) {
       lines.push("");
@@ -200,52 +148,97 @@ export default function App() {
 
     setLoading(true);
     setError("");
+    setRateLimited(false);
     setResult(null);
+    setRecommendation(null);
+    setCacheInfo(null);
+    setEmailVerification(null);
+    setResendNote("");
+    setReportUrl(null);
+    setHistory(null);
 
     try {
-      const data = await analyzeWebsite({
+      const verification = await prepareScanVerification();
+      const started = await startScan({
         name,
         email: em,
+        businessName: bn,
         website: normalizedWebsite,
-        refresh
+        refresh,
+        locale: navigator.language,
+        ...verification
       });
 
+      setScanStatus(started.job.status);
+      const job = await watchScan(started.job.id, (j) => setScanStatus(j.status));
+
+      if (job.status === "failed") throw { error: job.error };
+      const data = job.result;
+
       setResult(data.report ?? data);
+      setRecommendation(data.recommendation ?? null);
+      setCacheInfo({ cached: Boolean(data.cached), stale: Boolean(data.stale), revalidating: Boolean(data.revalidating) });
+      setEmailVerification(data.email_verification ?? null);
+      setReportUrl(data.report_url ?? null);
+
+      const domain = data.report?.domain;
+      if (domain) {
+        fetchReportHistory(domain)
+          .then(setHistory)
+          .catch((historyErr) => console.error("Could not load history:", historyErr));
+      }
     } catch (err) {
       console.error(err);
+      setRateLimited(err?.status === 429);
       setError(err?.error || err?.message || "Analysis failed. Please check your inputs and try again.");
     } finally {
       setLoading(false);
+      setScanStatus(null);
     }
   }
 
-  const normalizedWebsiteForDisplay = useMemo(() => normalizeWebsite(website), [website]);
-  const issues = useMemo(() => (result ? buildIssues(result) : []), [result]);
-  const computedScore = useMemo(() => (result ? scoreFromIssues(issues) : null), [result, issues]);
+  async function handleResendVerification() {
+    try {
+      const data = await resendVerificationEmail(email.trim());
+      setResendNote(data.message);
+    } catch (err) {
+      setResendNote(err?.error || "Could not resend the email. Please try again shortly.");
+    }
+  }
 
-  const recommendation = useMemo(() => {
-    if (!result || computedScore === null) return null;
-    return recommendPackage(businessName.trim() || "your business", computedScore, issues);
-  }, [result, computedScore, issues, businessName]);
+  const normalizedWebsiteForDisplay = useMemo(() => normalizeWebsite(website), [website]);
+  // Score, issues and category scores come from the server rule engine as-is
+  const issues = useMemo(() => (Array.isArray(result?.issues) ? result.issues : []), [result]);
+  const computedScore = result && Number.isFinite(Number(result.score)) ? Number(result.score) : null;
+  const categoryScores = result?.category_scores || {};
 
   const scoreInfo = computedScore === null ? null : scoreLabel(computedScore);
   const scoreTone = scoreInfo ? toneStyles(scoreInfo.tone) : null;
 
   // Pricing derived from recommendation
   const pricing = useMemo(() => {
-    if (!recommendation?.name) return null;
-    const base = PACKAGE_PRICES[recommendation.name];
-    if (!base) return null;
-    const sale = discountedPrice(base);
-    const savings = sale === null ? null : base - sale;
-
-    // 48-hour window (based on analyzed time if available)
+    if (!recommendation) return null;
+    const base = Number(recommendation.price);
+    if (!Number.isFinite(base)) return null;
+    const sale = recommendation.discountedPrice ?? null;
+    const savings = sale === null ? null : Math.round((base - sale) * 100) / 100;
+
+    // Discount window (based on analyzed time if available)
+    const deadlineHours = Number(recommendation.deadlineHours) || 48;
     const analyzedAt = result?.updated_at ? new Date(result.updated_at) : new Date();
-    const expiresAt = new Date(analyzedAt.getTime() + 48 * 60 * 60 * 1000);
+    const expiresAt = new Date(analyzedAt.getTime() + deadlineHours * 60 * 60 * 1000);
 
     return { base, sale, savings, analyzedAt, expiresAt };
   }, [recommendation, result]);
 
+  // Trend chart points (0-100 score mapped into a 100x40 viewBox)
+  const trendPoints = useMemo(() => {
+    const trend = (history?.trend || []).filter((t) => Number.isFinite(Number(t.score)));
+    if (trend.length < 2) return null;
+    const step = 100 / (trend.length - 1);
+    return trend.map((t, idx) => ({ x: idx * step, y: 40 - (Number(t.score) / 100) * 40, ...t }));
+  }, [history]);
+
   function handleBookCall() {
     window.open(BOOK_CALL_URL, "_blank", "noopener,noreferrer");
   }
@@ -523,6 +516,21 @@ export default function App() {
       boxShadow: "0 18px 40px rgba(0,0,0,0.40)"
     },
 
+    progressTrack: {
+      marginTop: 8,
+      height: 6,
+      borderRadius: 999,
+      background: "rgba(255,255,255,0.08)",
+      overflow: "hidden"
+    },
+
+    progressBar: {
+      height: "100%",
+      borderRadius: 999,
+      background: "linear-gradient(90deg, #5cc8ff, #2b7bff)",
+      transition: "width 300ms ease"
+    },
+
     secondaryRow: {
       display: "flex",
       gap: 10,
@@ -565,6 +573,9 @@ export default function App() {
     scoreNum: { fontSize: 40, fontWeight: 950, lineHeight: 1 },
     pill: { padding: "10px 12px", borderRadius: 999, fontWeight: 900 },
 
+    categoryRow: { display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(130px, 1fr))", gap: 8, marginTop: 14 },
+    categoryPill: { padding: "10px 12px", borderRadius: 14 },
+
     divider: { border: "none", borderTop: "1px solid rgba(255,255,255,0.12)", margin: "14px 0" },
     sectionTitle: { margin: 0, fontSize: 16, fontWeight: 900 },
 
@@ -616,6 +627,18 @@ export default function App() {
       whiteSpace: "nowrap"
     },
 
+    trendChart: { width: "100%", height: 120, marginTop: 12, display: "block" },
+
+    catalogRow: { display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(160px, 1fr))", gap: 8, marginTop: 14 },
+    catalogItem: {
+      padding: "10px 12px",
+      borderRadius: 14,
+      border: "1px solid rgba(255,255,255,0.10)",
+      background: "rgba(255,255,255,0.04)",
+      opacity: 0.75
+    },
+    catalogItemActive: { border: "1px solid rgba(92,200,255,0.45)", background: "rgba(92,200,255,0.10)", opacity: 1 },
+
     finePrint: { marginTop: 8, fontSize: 12, color: "rgba(229,231,235,0.72)", lineHeight: 1.5 }
   };
 
@@ -703,9 +726,20 @@ export default function App() {
                   disabled={loading}
                   style={{ ...styles.primaryBtn, ...(loading ? styles.disabled : null) }}
                 >
-                  {loading ? "Running Analysis..." : "Run My Free Analysis"}
+                  {loading ? SCAN_STAGE_LABELS[scanStatus] || "Running Analysis..." : "Run My Free Analysis"}
                 </button>
 
+                {loading && scanStatus && (
+                  <div style={styles.progressTrack} aria-hidden="true">
+                    <div
+                      style={{
+                        ...styles.progressBar,
+                        width: `${((Math.max(SCAN_STEPS.indexOf(scanStatus), 0) + 1) / SCAN_STEPS.length) * 100}%`
+                      }}
+                    />
+                  </div>
+                )}
+
                 <div style={styles.secondaryRow}>
                   <button
                     type="button"
@@ -725,7 +759,7 @@ export default function App() {
 
                 {error && (
                   <div style={styles.error}>
-                    <strong style={{ color: "#fecaca" }}>Fix this:</strong> {error}
+                    <strong style={{ color: "#fecaca" }}>{rateLimited ? "Slow down:" : "Fix this:"}</strong> {error}
                   </div>
                 )}
               </div>
@@ -754,6 +788,20 @@ export default function App() {
                   </div>
                 </div>
 
+                {Object.keys(categoryScores).length > 0 && (
+                  <div style={styles.categoryRow}>
+                    {Object.entries(categoryScores).map(([key, value]) => {
+                      const tone = toneStyles(scoreLabel(value).tone);
+                      return (
+                        <div key={key} style={{ ...styles.categoryPill, border: `1px solid ${tone.border}`, background: tone.bg }}>
+                          <div style={{ fontSize: 12, color: "rgba(229,231,235,0.75)" }}>{CATEGORY_LABELS[key] || key}</div>
+                          <div style={{ fontSize: 20, fontWeight: 950, color: tone.text }}>{value}</div>
+                        </div>
+                      );
+                    })}
+                  </div>
+                )}
+
                 <hr style={styles.divider} />
 
                 <div style={{ display: "grid", gap: 10 }}>
@@ -774,9 +822,34 @@ export default function App() {
                     </div>
                   </div>
 
-                  {result.updated_at && (
+                  {(result.analyzed_at || result.updated_at) && (
                     <div style={{ fontSize: 12, color: "rgba(229,231,235,0.70)" }}>
-                      Last analyzed: {new Date(result.updated_at).toLocaleString()}
+                      Last analyzed: {new Date(result.analyzed_at || result.updated_at).toLocaleString()}
+                    </div>
+                  )}
+
+                  {cacheInfo?.stale && (
+                    <div style={{ fontSize: 12, color: "#fde68a" }}>
+                      {cacheInfo.revalidating
+                        ? "This is your previous scan. A fresh scan is running now; run the analysis again in a minute to see it."
+                        : "This is your previous scan. We couldn't reach the site just now to rescan it."}
+                    </div>
+                  )}
+                  {emailVerification === "pending" && (
+                    <div style={{ fontSize: 12, color: "#bae6fd" }}>
+                      Check your inbox: confirm your email and we'll send you the full report.{" "}
+                      <button type="button" onClick={handleResendVerification} style={styles.smallBtn}>
+                        Resend link
+                      </button>
+                      {resendNote && <div style={{ marginTop: 4 }}>{resendNote}</div>}
+                    </div>
+                  )}
+                  {reportUrl && (
+                    <div style={{ fontSize: 12, color: "rgba(229,231,235,0.70)" }}>
+                      Share this report:{" "}
+                      <a href={reportUrl} target="_blank" rel="noreferrer" style={{ color: "#bae6fd" }}>
+                        open the report page
+                      </a>
                     </div>
                   )}
                 </div>
@@ -802,8 +875,11 @@ export default function App() {
                     issues.map((i) => {
                       const pill = severityPill(i.severity);
                       return (
-                        <div key={i.key} style={styles.listItem}>
-                          <div style={{ lineHeight: 1.45 }}>{i.label}</div>
+                        <div key={i.id} style={styles.listItem}>
+                          <div style={{ lineHeight: 1.45 }}>
+                            <div>{i.message}</div>
+                            {i.fix && <div style={{ marginTop: 4, fontSize: 13, color: "rgba(229,231,235,0.72)" }}>Fix: {i.fix}</div>}
+                          </div>
                           <div
                             style={{
                               padding: "6px 10px",
@@ -827,11 +903,47 @@ export default function App() {
                 </div>
               </div>
 
+              {(trendPoints || history?.diff?.message) && (
+                <div style={styles.panel}>
+                  <h3 style={styles.sectionTitle}>Progress Over Time</h3>
+
+                  {trendPoints && (
+                    <svg viewBox="-2 -4 104 48" preserveAspectRatio="none" style={styles.trendChart} role="img" aria-label="Score trend">
+                      <polyline
+                        points={trendPoints.map((p) => `${p.x},${p.y}`).join(" ")}
+                        fill="none"
+                        stroke="#5cc8ff"
+                        strokeWidth="1.2"
+                        vectorEffect="non-scaling-stroke"
+                      />
+                      {trendPoints.map((p) => (
+                        <circle key={p.id} cx={p.x} cy={p.y} r="1.4" fill="#eaf6ff">
+                          <title>{`${p.score} on ${new Date(p.analyzed_at).toLocaleDateString()}`}</title>
+                        </circle>
+                      ))}
+                    </svg>
+                  )}
+
+                  {history?.diff?.message && <div style={{ marginTop: 10, fontWeight: 800, color: "#a7f3d0" }}>{history.diff.message}</div>}
+
+                  {history?.diff?.fixed?.length > 0 && (
+                    <div style={{ marginTop: 10, fontSize: 13 }}>
+                      <strong>Fixed:</strong> {history.diff.fixed.map((i) => i.message).join(" · ")}
+                    </div>
+                  )}
+                  {history?.diff?.new_issues?.length > 0 && (
+                    <div style={{ marginTop: 6, fontSize: 13 }}>
+                      <strong>New:</strong> {history.diff.new_issues.map((i) => i.message).join(" · ")}
+                    </div>
+                  )}
+                </div>
+              )}
+
               {recommendation && (
                 <div style={styles.panel}>
                   <h3 style={styles.sectionTitle}>Recommended Package</h3>
 
-                  <div style={{ marginTop: 8, fontSize: 20, fontWeight: 950 }}>{recommendation.name}</div>
+                  <div style={{ marginTop: 8, fontSize: 20, fontWeight: 950 }}>{recommendation.packageName}</div>
 
                   {pricing && (
                     <div style={styles.priceRow}>
@@ -842,7 +954,7 @@ export default function App() {
                         </div>
 
                         <div style={{ textAlign: "right" }}>
-                          <div style={{ fontSize: 12, color: "rgba(229,231,235,0.75)", fontWeight: 800 }}>Beacon AI price (15% off)</div>
+                          <div style={{ fontSize: 12, color: "rgba(229,231,235,0.75)", fontWeight: 800 }}>Beacon AI price ({recommendation.discountPercent}% off)</div>
                           <div style={styles.salePrice}>{formatMoney(pricing.sale)}</div>
                         </div>
                       </div>
@@ -850,9 +962,7 @@ export default function App() {
                       {pricing.savings !== null && (
                         <div style={{ marginTop: 10, display: "flex", justifyContent: "space-between", alignItems: "center", gap: 10, flexWrap: "wrap" }}>
                           <span style={styles.savePill}>Save {formatMoney(pricing.savings)}</span>
-                          <span style={{ fontSize: 12, color: "rgba(229,231,235,0.75)" }}>
-                            Book within 48 hours to lock this in
-                          </span>
+                          <span style={{ fontSize: 12, color: "rgba(229,231,235,0.75)" }}>{recommendation.urgencyLine}</span>
                         </div>
                       )}
 
@@ -862,6 +972,12 @@ export default function App() {
                           <span style={{ color: "rgba(255,255,255,0.92)", fontWeight: 800 }}>
                             {pricing.expiresAt.toLocaleString()}
                           </span>
+                          {recommendation.code && (
+                            <>
+                              {" "}
+                              · Code: <span style={{ color: "rgba(255,255,255,0.92)", fontWeight: 800 }}>{recommendation.code}</span>
+                            </>
+                          )}
                         </div>
                       )}
                     </div>
@@ -877,6 +993,22 @@ export default function App() {
                     ))}
                   </ul>
 
+                  {catalog?.packages?.length > 0 && (
+                    <div style={styles.catalogRow}>
+                      {catalog.packages.map((p) => {
+                        const active = p.tier === recommendation.tier;
+                        return (
+                          <div key={p.tier} style={{ ...styles.catalogItem, ...(active ? styles.catalogItemActive : null) }}>
+                            <div style={{ fontSize: 13, fontWeight: 900 }}>{p.name}</div>
+                            <div style={{ marginTop: 4, fontSize: 12, color: "rgba(229,231,235,0.75)" }}>
+                              <span style={styles.strike}>{formatMoney(p.price)}</span> {formatMoney(p.discountedPrice)}
+                            </div>
+                          </div>
+                        );
+                      })}
+                    </div>
+                  )}
+
                   <div style={{ marginTop: 14, display: "flex", gap: 10, flexWrap: "wrap" }}>
                     <button type="button" onClick={handleBookCall} style={styles.smallBtn}>
                       Schedule a Free Review Call
@@ -1,5 +1,58 @@
+const API_BASE = "http://localhost:3001";
+
 export async function analyzeWebsite(payload) {
-  const res = await fetch("http://localhost:3001/api/analyze", {
+  const res = await fetch(`${API_BASE}/api/analyze`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload)
+  });
+
+  const data = await res.json();
+
+  if (!res.ok || data?.ok === false) {
+    throw { ...data, status: res.status };
+  }
+
+  return data;
+}
+
+// Asks which verification the server wants with a scan. For proof-of-work,
+// solves it here and returns the fields to merge into the scan payload.
+export async function prepareScanVerification() {
+  const res = await fetch(`${API_BASE}/api/scans/challenge`);
+  const data = await res.json();
+
+  if (!res.ok || data?.ok === false) {
+    throw { ...data, status: res.status };
+  }
+
+  if (data.mode !== "pow") return {};
+  return { pow: { challenge: data.challenge, nonce: await solveChallenge(data.challenge, data.difficulty) } };
+}
+
+// Finds a nonce so sha256(challenge + nonce) starts with `difficulty` zero bits
+async function solveChallenge(challenge, difficulty) {
+  const encoder = new TextEncoder();
+
+  for (let nonce = 0; ; nonce++) {
+    const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", encoder.encode(challenge + nonce)));
+
+    let bits = 0;
+    for (const byte of digest) {
+      if (byte === 0) {
+        bits += 8;
+        continue;
+      }
+      bits += Math.clz32(byte) - 24;
+      break;
+    }
+
+    if (bits >= difficulty) return String(nonce);
+  }
+}
+
+export async function startScan(payload) {
+  const res = await fetch(`${API_BASE}/api/scans`, {
     method: "POST",
     headers: { "Content-Type": "application/json" },
     body: JSON.stringify(payload)
@@ -7,9 +60,255 @@ export async function analyzeWebsite(payload) {
 
   const data = await res.json();
 
+  if (!res.ok || data?.ok === false) {
+    throw { ...data, status: res.status };
+  }
+
+  return data;
+}
+
+export async function resendVerificationEmail(email) {
+  const res = await fetch(`${API_BASE}/api/verify-email/resend`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ email })
+  });
+
+  const data = await res.json();
+
+  if (!res.ok || data?.ok === false) {
+    throw { ...data, status: res.status };
+  }
+
+  return data;
+}
+
+export async function fetchScan(jobId) {
+  const res = await fetch(`${API_BASE}/api/scans/${encodeURIComponent(jobId)}`);
+  const data = await res.json();
+
+  if (!res.ok || data?.ok === false) {
+    throw data;
+  }
+
+  return data.job;
+}
+
+// Follows a scan until it finishes: streams progress over SSE and falls back
+// to polling if the stream is unavailable. Resolves with the finished job.
+export function watchScan(jobId, onProgress) {
+  const isFinal = (job) => job?.status === "done" || job?.status === "failed";
+
+  return new Promise((resolve, reject) => {
+    async function poll() {
+      try {
+        while (true) {
+          const job = await fetchScan(jobId);
+          onProgress?.(job);
+          if (isFinal(job)) return resolve(job);
+          await new Promise((r) => setTimeout(r, 1500));
+        }
+      } catch (err) {
+        reject(err);
+      }
+    }
+
+    if (typeof EventSource === "undefined") return poll();
+
+    const source = new EventSource(`${API_BASE}/api/scans/${encodeURIComponent(jobId)}/events`);
+
+    source.addEventListener("progress", (e) => {
+      const job = JSON.parse(e.data);
+      onProgress?.(job);
+      if (isFinal(job)) {
+        source.close();
+        resolve(job);
+      }
+    });
+
+    source.onerror = () => {
+      source.close();
+      poll();
+    };
+  });
+}
+
+export async function fetchPackages() {
+  const res = await fetch(`${API_BASE}/api/packages`);
+  const data = await res.json();
+
   if (!res.ok || data?.ok === false) {
     throw data;
   }
 
   return data;
 }
+
+export async function fetchReportHistory(domain) {
+  const res = await fetch(`${API_BASE}/api/reports/${encodeURIComponent(domain)}/history`);
+  const data = await res.json();
+
+  if (!res.ok || data?.ok === false) {
+    throw data;
+  }
+
+  return data;
+}
+
+//
+// Admin
+//
+
+async function adminRequest(path, { token, method = "GET", body } = {}) {
+  const res = await fetch(`${API_BASE}/api/admin${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${token}`,
+      ...(body ? { "Content-Type": "application/json" } : null)
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  const data = await res.json().catch(() => ({ ok: false, error: `Request failed (${res.status})` }));
+
+  if (!res.ok || data?.ok === false) {
+    throw { ...data, status: res.status };
+  }
+
+  return data;
+}
+
+export async function loginStaff(email, password) {
+  const res = await fetch(`${API_BASE}/api/auth/login`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ email, password })
+  });
+
+  const data = await res.json();
+
+  if (!res.ok || data?.ok === false) {
+    throw { ...data, status: res.status };
+  }
+
+  return data;
+}
+
+// Works for both session tokens and API keys
+export async function fetchMe(token) {
+  const res = await fetch(`${API_BASE}/api/auth/me`, {
+    headers: { Authorization: `Bearer ${token}` }
+  });
+
+  const data = await res.json();
+
+  if (!res.ok || data?.ok === false) {
+    throw { ...data, status: res.status };
+  }
+
+  return data.actor;
+}
+
+function filterParams(filters) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(filters)) {
+    if (value !== undefined && value !== null && value !== "") params.set(key, value);
+  }
+  return params;
+}
+
+export function fetchAdminLeads(token, filters = {}) {
+  return adminRequest(`/leads?${filterParams(filters)}`, { token });
+}
+
+// Resolves with the file as a Blob; format is "csv" or "ndjson"
+export async function downloadAdminLeadExport(token, filters = {}, format = "csv") {
+  const params = filterParams({ ...filters, format });
+  const res = await fetch(`${API_BASE}/api/admin/leads/export?${params}`, {
+    headers: { Authorization: `Bearer ${token}` }
+  });
+
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({ ok: false, error: `Request failed (${res.status})` }));
+    throw { ...data, status: res.status };
+  }
+
+  return res.blob();
+}
+
+// csv is the file's text. Resolves with { imported, skipped, errors, ... }
+export async function importProspects(token, csv, { dryRun = false } = {}) {
+  const res = await fetch(`${API_BASE}/api/admin/prospects/import${dryRun ? "?dryRun=true" : ""}`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${token}`, "Content-Type": "text/csv" },
+    body: csv
+  });
+
+  const data = await res.json().catch(() => ({ ok: false, error: `Request failed (${res.status})` }));
+
+  if (!res.ok || data?.ok === false) {
+    throw { ...data, status: res.status };
+  }
+
+  return data;
+}
+
+export function fetchAdminStats(token) {
+  return adminRequest("/stats", { token });
+}
+
+export function fetchAdminLead(token, id) {
+  return adminRequest(`/leads/${encodeURIComponent(id)}`, { token });
+}
+
+export function updateAdminLead(token, id, patch) {
+  return adminRequest(`/leads/${encodeURIComponent(id)}`, { token, method: "PATCH", body: patch });
+}
+
+export function fetchAdminLeadDuplicates(token, id) {
+  return adminRequest(`/leads/${encodeURIComponent(id)}/duplicates`, { token });
+}
+
+export function mergeAdminLeads(token, id, ids) {
+  return adminRequest(`/leads/${encodeURIComponent(id)}/merge`, { token, method: "POST", body: { ids } });
+}
+
+export function addAdminLeadNote(token, id, body) {
+  return adminRequest(`/leads/${encodeURIComponent(id)}/notes`, { token, method: "POST", body: { body } });
+}
+
+export function fetchEmailTemplates(token) {
+  return adminRequest("/email-templates", { token });
+}
+
+// Resolves with the rendered HTML or plain text of a template preview
+export async function previewEmailTemplate(token, name, { locale = "", format = "html" } = {}) {
+  const params = new URLSearchParams({ format });
+  if (locale) params.set("locale", locale);
+
+  const res = await fetch(`${API_BASE}/api/admin/email-templates/${encodeURIComponent(name)}/preview?${params}`, {
+    headers: { Authorization: `Bearer ${token}` }
+  });
+
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({ ok: false, error: `Request failed (${res.status})` }));
+    throw { ...data, status: res.status };
+  }
+
+  return res.text();
+}
+
+// Resolves with the PDF as a Blob; leadId personalizes name and deadline
+export async function downloadReportPdf(token, reportId, leadId) {
+  const params = leadId ? `?lead=${encodeURIComponent(leadId)}` : "";
+  const res = await fetch(`${API_BASE}/api/reports/${encodeURIComponent(reportId)}/pdf${params}`, {
+    headers: { Authorization: `Bearer ${token}` }
+  });
+
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({ ok: false, error: `Request failed (${res.status})` }));
+    throw { ...data, status: res.status };
+  }
+
+  return res.blob();
+}
@@ -2,9 +2,12 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import AdminApp from './AdminApp.jsx'
+
+const isAdmin = window.location.pathname.startsWith('/admin')
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    {isAdmin ? <AdminApp /> : <App />}
   </StrictMode>,
 )
@@ -0,0 +1,453 @@
+// lib/analyzer.js (ESM)
+//
+// Fetches a site's home page and runs the on-page audit that feeds every report.
+
+import dns from "dns";
+import net from "net";
+import { parse } from "node-html-parser";
+import { Agent, fetch as undiciFetch } from "undici";
+
+export const ANALYZER_USER_AGENT = "BeaconAI/1.0 (+https://shorelinedevco.com)";
+
+// Stamped on every stored report. Bump it whenever the crawler output or the
+// rules in lib/rules.js change so cached reports are rescanned.
+export const ANALYZER_VERSION = 2;
+
+const DEFAULTS = {
+  timeoutMs: 10000,
+  maxRedirects: 5,
+  maxBytes: 2 * 1024 * 1024,
+  allowPrivateHosts: false
+};
+
+//
+// Errors
+//
+
+function analyzerError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+//
+// Network guards
+//
+
+// Private, shared, loopback, link-local, documentation, benchmarking and
+// multicast/reserved ranges. BlockList also matches IPv4-mapped IPv6
+// (::ffff:a.b.c.d, in either notation) against the IPv4 rules.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 3]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(prefix, bits, "ipv4");
+}
+for (const [prefix, bits] of [
+  ["::", 96], // unspecified, loopback and IPv4-compatible
+  ["64:ff9b::", 96], // NAT64
+  ["64:ff9b:1::", 48],
+  ["100::", 64], // discard
+  ["2001:db8::", 32], // documentation
+  ["2002::", 16], // 6to4, embeds an IPv4 address
+  ["fc00::", 7], // unique local
+  ["fe80::", 10], // link-local
+  ["ff00::", 8] // multicast
+]) {
+  BLOCKED_ADDRESSES.addSubnet(prefix, bits, "ipv6");
+}
+
+export function isPrivateAddress(ip) {
+  const family = net.isIP(ip);
+  if (!family) return true;
+  return BLOCKED_ADDRESSES.check(ip, family === 4 ? "ipv4" : "ipv6");
+}
+
+/**
+ * Resolves a host and refuses it if any of its addresses is private or
+ * reserved. Returns the address to connect to, so the request can't be
+ * pointed somewhere else by a second lookup (DNS rebinding).
+ */
+async function resolvePublicHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, "");
+
+  let records;
+  if (net.isIP(host)) {
+    records = [{ address: host, family: net.isIP(host) }];
+  } else {
+    try {
+      records = await dns.promises.lookup(host, { all: true });
+    } catch {
+      throw analyzerError("DNS_FAILED", `Could not resolve ${host}.`);
+    }
+  }
+
+  if (!records.length || records.some((r) => isPrivateAddress(r.address))) {
+    throw analyzerError("BLOCKED_HOST", `Refusing to scan private or reserved address for ${host}.`);
+  }
+
+  return records[0];
+}
+
+// Connection lookup that only answers with addresses resolvePublicHost
+// already checked; anything else fails instead of going back to DNS
+function pinnedLookup(pinned) {
+  return (hostname, options, callback) => {
+    const record = pinned.get(hostname);
+    if (!record) return callback(analyzerError("BLOCKED_HOST", `${hostname} was not checked before connecting.`));
+    if (options?.all) return callback(null, [record]);
+    return callback(null, record.address, record.family);
+  };
+}
+
+//
+// Fetching
+//
+
+async function readBody(response, maxBytes) {
+  if (!response.body) return { text: "", bytes: 0, truncated: false };
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let bytes = 0;
+  let truncated = false;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    bytes += value.byteLength;
+    if (bytes > maxBytes) {
+      chunks.push(value.subarray(0, value.byteLength - (bytes - maxBytes)));
+      bytes = maxBytes;
+      truncated = true;
+      await reader.cancel().catch(() => {});
+      break;
+    }
+    chunks.push(value);
+  }
+
+  const contentType = response.headers.get("content-type") || "";
+  const charset = (/charset=([^;]+)/i.exec(contentType)?.[1] || "utf-8").trim().toLowerCase();
+
+  let decoder;
+  try {
+    decoder = new TextDecoder(charset);
+  } catch {
+    decoder = new TextDecoder("utf-8");
+  }
+
+  return { text: decoder.decode(Buffer.concat(chunks)), bytes, truncated };
+}
+
+/**
+ * Fetches a page following redirects by hand so every hop is checked
+ * against the private-address guard and counted against maxRedirects.
+ * Connections go to the address that was checked, not a fresh lookup.
+ */
+export async function fetchPage(startUrl, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const fetchImpl = opts.fetch || undiciFetch;
+  const redirects = [];
+  const started = Date.now();
+
+  const pinned = new Map();
+  const dispatcher = opts.allowPrivateHosts ? undefined : new Agent({ connect: { lookup: pinnedLookup(pinned) } });
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), opts.timeoutMs);
+
+  try {
+    let current = new URL(startUrl);
+
+    for (let hop = 0; hop <= opts.maxRedirects; hop++) {
+      if (!/^https?:$/.test(current.protocol)) {
+        throw analyzerError("BAD_PROTOCOL", `Unsupported protocol ${current.protocol}`);
+      }
+      if (!opts.allowPrivateHosts) pinned.set(current.hostname, await resolvePublicHost(current.hostname));
+
+      const response = await fetchImpl(current.toString(), {
+        redirect: "manual",
+        signal: controller.signal,
+        dispatcher,
+        headers: {
+          "user-agent": ANALYZER_USER_AGENT,
+          accept: "text/html,application/xhtml+xml;q=0.9,*/*;q=0.5"
+        }
+      });
+
+      const location = response.headers.get("location");
+      if (response.status >= 300 && response.status < 400 && location) {
+        await response.body?.cancel().catch(() => {});
+        const next = new URL(location, current);
+        redirects.push({ from: current.toString(), to: next.toString(), status: response.status });
+        current = next;
+        continue;
+      }
+
+      const body = await readBody(response, opts.maxBytes);
+
+      return {
+        url: startUrl,
+        finalUrl: current.toString(),
+        status: response.status,
+        contentType: response.headers.get("content-type") || "",
+        headers: Object.fromEntries(response.headers.entries()),
+        redirects,
+        html: body.text,
+        bytes: body.bytes,
+        truncated: body.truncated,
+        responseTimeMs: Date.now() - started
+      };
+    }
+
+    throw analyzerError("TOO_MANY_REDIRECTS", `More than ${opts.maxRedirects} redirects.`);
+  } catch (err) {
+    if (err?.name === "AbortError") {
+      throw analyzerError("TIMEOUT", `Timed out after ${opts.timeoutMs}ms.`);
+    }
+    if (err?.code) throw err;
+    throw analyzerError("FETCH_FAILED", err?.cause?.message || err?.message || String(err));
+  } finally {
+    clearTimeout(timer);
+    dispatcher?.destroy().catch(() => {});
+  }
+}
+
+//
+// HTML audit
+//
+
+function cleanText(value) {
+  return String(value ?? "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Text nodes joined with spaces. .text runs neighbouring elements together,
+// so "<h1>Plumbing</h1><p>Call us</p>" would read as "PlumbingCall us".
+function spacedText(node) {
+  if (node.nodeType === 3) return node.text;
+  return node.childNodes.map(spacedText).join(" ");
+}
+
+function metaContent(root, selector) {
+  const value = root.querySelector(selector)?.getAttribute("content");
+  return value === undefined ? null : cleanText(value);
+}
+
+function hostWithoutWww(host) {
+  return String(host || "").toLowerCase().replace(/^www\./, "");
+}
+
+function auditLinks(root, pageUrl) {
+  const pageHost = hostWithoutWww(pageUrl.hostname);
+  const links = { total: 0, internal: 0, external: 0, nofollow: 0, mailto: 0, tel: 0, empty: 0 };
+
+  for (const a of root.querySelectorAll("a")) {
+    const href = (a.getAttribute("href") || "").trim();
+    links.total++;
+
+    if (/\bnofollow\b/i.test(a.getAttribute("rel") || "")) links.nofollow++;
+
+    if (!href || href === "#" || /^javascript:/i.test(href)) {
+      links.empty++;
+    } else if (/^mailto:/i.test(href)) {
+      links.mailto++;
+    } else if (/^tel:/i.test(href)) {
+      links.tel++;
+    } else {
+      try {
+        const target = new URL(href, pageUrl);
+        if (hostWithoutWww(target.hostname) === pageHost) links.internal++;
+        else links.external++;
+      } catch {
+        links.empty++;
+      }
+    }
+  }
+
+  return links;
+}
+
+function auditImages(root) {
+  const images = root.querySelectorAll("img");
+  let missingAlt = 0;
+  let emptyAlt = 0;
+
+  for (const img of images) {
+    const alt = img.getAttribute("alt");
+    if (alt === undefined) missingAlt++;
+    else if (!alt.trim()) emptyAlt++;
+  }
+
+  const total = images.length;
+  return {
+    total,
+    missing_alt: missingAlt,
+    empty_alt: emptyAlt,
+    alt_coverage: total ? Math.round(((total - missingAlt) / total) * 100) : 100
+  };
+}
+
+/**
+ * Pure HTML audit. Takes the raw markup and the URL it was served from and
+ * returns the flat report fields plus a detailed `audit` object.
+ */
+export function auditHtml(html, pageUrlValue) {
+  const pageUrl = new URL(pageUrlValue);
+  const root = parse(html || "", { comment: false, blockTextElements: { script: true, style: true } });
+
+  const title = cleanText(root.querySelector("title")?.text) || null;
+  const metaDescription = metaContent(root, 'meta[name="description" i]');
+  const viewport = metaContent(root, 'meta[name="viewport" i]');
+  const robots = metaContent(root, 'meta[name="robots" i]');
+  const canonicalHref = root.querySelector('link[rel="canonical" i]')?.getAttribute("href") || null;
+
+  let canonical = null;
+  if (canonicalHref) {
+    try {
+      canonical = new URL(canonicalHref, pageUrl).toString();
+    } catch {
+      canonical = canonicalHref;
+    }
+  }
+
+  const headings = {};
+  for (const tag of ["h1", "h2", "h3", "h4", "h5", "h6"]) {
+    headings[tag] = root.querySelectorAll(tag).length;
+  }
+  const h1Texts = root
+    .querySelectorAll("h1")
+    .map((h) => cleanText(h.text))
+    .filter(Boolean)
+    .slice(0, 5);
+
+  const lang = cleanText(root.querySelector("html")?.getAttribute("lang")) || null;
+  const charset =
+    root.querySelector("meta[charset]")?.getAttribute("charset") ||
+    /charset=([^;]+)/i.exec(metaContent(root, 'meta[http-equiv="content-type" i]') || "")?.[1] ||
+    null;
+
+  const favicon = Boolean(root.querySelector('link[rel~="icon" i]'));
+
+  const openGraph = {
+    title: metaContent(root, 'meta[property="og:title" i]'),
+    description: metaContent(root, 'meta[property="og:description" i]'),
+    image: metaContent(root, 'meta[property="og:image" i]'),
+    type: metaContent(root, 'meta[property="og:type" i]')
+  };
+
+  const forms = root.querySelectorAll("form").length;
+  const scripts = root.querySelectorAll("script[src]").length;
+  const stylesheets = root.querySelectorAll('link[rel="stylesheet" i]').length;
+  const structuredData = root.querySelectorAll('script[type="application/ld+json" i]').length;
+
+  // Counted above first: this takes the body's scripts out of the tree
+  const body = root.querySelector("body") || root;
+  for (const node of body.querySelectorAll("script, style, noscript, template")) node.remove();
+  const bodyText = cleanText(spacedText(body));
+  const wordCount = bodyText ? bodyText.split(" ").length : 0;
+
+  return {
+    title,
+    meta_description: metaDescription,
+    h1_count: headings.h1,
+    audit: {
+      title_length: title ? title.length : 0,
+      meta_description_length: metaDescription ? metaDescription.length : 0,
+      headings,
+      h1_texts: h1Texts,
+      canonical,
+      viewport,
+      has_viewport: Boolean(viewport),
+      robots,
+      noindex: /\bnoindex\b/i.test(robots || ""),
+      lang,
+      charset: charset ? cleanText(charset).toLowerCase() : null,
+      favicon,
+      open_graph: openGraph,
+      images: auditImages(root),
+      links: auditLinks(root, pageUrl),
+      word_count: wordCount,
+      forms,
+      scripts,
+      stylesheets,
+      structured_data: structuredData
+    }
+  };
+}
+
+//
+// Entry point
+//
+
+function candidateUrls(target) {
+  if (/^https?:\/\//i.test(target)) return [target];
+  return [`https://${target}/`, `http://${target}/`];
+}
+
+/**
+ * Scans a normalized domain (or a full URL, used for local fixtures) and
+ * returns the report fields. Tries https first and falls back to http.
+ */
+export async function analyzeSite(target, options = {}) {
+  let lastErr = null;
+
+  for (const url of candidateUrls(target)) {
+    let page;
+    try {
+      page = await fetchPage(url, options);
+    } catch (err) {
+      // A blocked host won't become public over plain http
+      if (err.code === "BLOCKED_HOST" || err.code === "DNS_FAILED") throw err;
+      lastErr = err;
+      continue;
+    }
+
+    if (page.status >= 400) {
+      lastErr = analyzerError("HTTP_ERROR", `Site responded with HTTP ${page.status}.`);
+      continue;
+    }
+
+    if (page.contentType && !/html|xml/i.test(page.contentType)) {
+      throw analyzerError("NOT_HTML", `Expected an HTML page but got ${page.contentType}.`);
+    }
+
+    const result = auditHtml(page.html, page.finalUrl);
+    const finalUrl = new URL(page.finalUrl);
+
+    return {
+      ...result,
+      final_url: page.finalUrl,
+      status_code: page.status,
+      audit: {
+        ...result.audit,
+        https: finalUrl.protocol === "https:",
+        redirects: page.redirects,
+        response_time_ms: page.responseTimeMs,
+        html_bytes: page.bytes,
+        truncated: page.truncated,
+        content_type: page.contentType,
+        server: page.headers.server || null,
+        hsts: Boolean(page.headers["strict-transport-security"]),
+        fetched_at: new Date().toISOString()
+      }
+    };
+  }
+
+  throw lastErr || analyzerError("FETCH_FAILED", "Could not fetch the website.");
+}
+
@@ -0,0 +1,243 @@
+// lib/auth.js (ESM)
+//
+// Access control for non-public routes: staff logins with signed session
+// tokens, hashed API keys, role based permissions and an audit log.
+
+import crypto from "crypto";
+import { API_KEYS_TABLE, AUDIT_LOG_TABLE, STAFF_TABLE } from "./tables.js";
+
+export const ROLES = ["admin", "sales", "read_only"];
+
+const PERMISSIONS = {
+  admin: ["leads:read", "leads:write", "staff:manage", "audit:read"],
+  sales: ["leads:read", "leads:write"],
+  read_only: ["leads:read"]
+};
+
+const TOKEN_PREFIX = "v1.";
+export const API_KEY_PREFIX = "bk_";
+
+//
+// Helpers
+//
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(String(value)).digest("hex");
+}
+
+export function hasPermission(role, permission) {
+  return Boolean(PERMISSIONS[role]?.includes(permission));
+}
+
+export function permissionsFor(role) {
+  return PERMISSIONS[role] || [];
+}
+
+export function readBearer(req) {
+  const header = req.get("authorization") || "";
+  const bearer = /^Bearer\s+(.+)$/i.exec(header)?.[1];
+  return (bearer || req.get("x-api-key") || "").trim();
+}
+
+//
+// Passwords
+//
+
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(String(password), salt, 64).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+}
+
+export function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const candidate = crypto.scryptSync(String(password), salt, 64).toString("hex");
+  return safeEqual(candidate, hash);
+}
+
+//
+// API keys
+//
+
+export function generateApiKey() {
+  const key = API_KEY_PREFIX + crypto.randomBytes(24).toString("base64url");
+  return { key, keyHash: sha256(key), keyPrefix: key.slice(0, 10) };
+}
+
+//
+// Session tokens
+//
+
+/**
+ * Stateless session token: "v1.<base64url json>.<hmac>". Carries the staff
+ * id, role and expiry; the staff row is re-checked on every request so
+ * deactivating someone takes effect immediately.
+ */
+export function signSessionToken(payload, secret, ttlHours) {
+  const body = Buffer.from(
+    JSON.stringify({ ...payload, exp: Date.now() + ttlHours * 60 * 60 * 1000 })
+  ).toString("base64url");
+  const sig = crypto.createHmac("sha256", secret).update(body).digest("base64url");
+  return `${TOKEN_PREFIX}${body}.${sig}`;
+}
+
+export function verifySessionToken(token, secret) {
+  if (!secret || !String(token).startsWith(TOKEN_PREFIX)) return null;
+
+  const [body, sig] = String(token).slice(TOKEN_PREFIX.length).split(".");
+  if (!body || !sig) return null;
+
+  const expected = crypto.createHmac("sha256", secret).update(body).digest("base64url");
+  if (!safeEqual(sig, expected)) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    if (!payload?.sub || !(payload.exp > Date.now())) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+//
+// Middleware
+//
+
+/**
+ * Builds the auth helpers around one Supabase client.
+ * bootstrapKey (ADMIN_API_KEY) always authenticates as an admin so the first
+ * staff accounts can be created before any exist.
+ */
+export function createAuth({ supabase, secret, bootstrapKey, sessionHours = 12 }) {
+  const sessionSecret = String(secret || "").trim();
+  const envKey = String(bootstrapKey || "").trim();
+
+  async function resolveActor(credential) {
+    if (!credential) return null;
+
+    if (envKey && safeEqual(credential, envKey)) {
+      return { id: "env:ADMIN_API_KEY", type: "env_key", role: "admin", email: null, name: "Bootstrap key" };
+    }
+
+    if (credential.startsWith(TOKEN_PREFIX)) {
+      const payload = verifySessionToken(credential, sessionSecret);
+      if (!payload) return null;
+
+      const { data: staff, error } = await supabase
+        .from(STAFF_TABLE)
+        .select("id, email, name, role, active")
+        .eq("id", payload.sub)
+        .maybeSingle();
+
+      if (error) throw new Error(error.message);
+      if (!staff?.active || !ROLES.includes(staff.role)) return null;
+
+      return { id: `staff:${staff.id}`, staffId: staff.id, type: "session", role: staff.role, email: staff.email, name: staff.name };
+    }
+
+    if (credential.startsWith(API_KEY_PREFIX)) {
+      const { data: key, error } = await supabase
+        .from(API_KEYS_TABLE)
+        .select("id, name, role, active")
+        .eq("key_hash", sha256(credential))
+        .maybeSingle();
+
+      if (error) throw new Error(error.message);
+      if (!key?.active || !ROLES.includes(key.role)) return null;
+
+      supabase
+        .from(API_KEYS_TABLE)
+        .update({ last_used_at: new Date().toISOString() })
+        .eq("id", key.id)
+        .then(({ error: touchErr }) => touchErr && console.error("API key touch failed:", touchErr.message));
+
+      return { id: `api_key:${key.id}`, type: "api_key", role: key.role, email: null, name: key.name };
+    }
+
+    return null;
+  }
+
+  // Sets req.actor or answers 401
+  async function authenticate(req, res, next) {
+    try {
+      const actor = await resolveActor(readBearer(req));
+      if (!actor) return res.status(401).json({ ok: false, error: "Unauthorized." });
+
+      req.actor = actor;
+      return next();
+    } catch (err) {
+      console.error("Auth error:", err?.message || err);
+      return res.status(500).json({ ok: false, error: "Could not verify credentials." });
+    }
+  }
+
+  function authorize(permission) {
+    return (req, res, next) => {
+      if (!req.actor) return res.status(401).json({ ok: false, error: "Unauthorized." });
+      if (!hasPermission(req.actor.role, permission)) {
+        return res.status(403).json({ ok: false, error: "You do not have access to this." });
+      }
+      return next();
+    };
+  }
+
+  async function login(email, password) {
+    if (!sessionSecret) {
+      const err = new Error("Staff login is not configured.");
+      err.status = 503;
+      throw err;
+    }
+
+    const { data: staff, error } = await supabase
+      .from(STAFF_TABLE)
+      .select("id, email, name, role, active, password_hash")
+      .eq("email", String(email || "").trim().toLowerCase())
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+
+    // Hash anyway on a miss so response time doesn't reveal which emails exist
+    const ok = verifyPassword(password, staff?.password_hash || "scrypt$00$00");
+    if (!staff || !ok || !staff.active) return null;
+
+    await supabase.from(STAFF_TABLE).update({ last_login_at: new Date().toISOString() }).eq("id", staff.id);
+
+    const token = signSessionToken({ sub: staff.id, role: staff.role }, sessionSecret, sessionHours);
+    return {
+      token,
+      actor: { id: `staff:${staff.id}`, staffId: staff.id, type: "session", role: staff.role, email: staff.email, name: staff.name }
+    };
+  }
+
+  /**
+   * Records who did what to which record. Never throws: a failed audit
+   * write is logged but doesn't fail the request.
+   */
+  async function audit(req, action, { targetType = null, targetId = null, meta = null } = {}) {
+    try {
+      const { error } = await supabase.from(AUDIT_LOG_TABLE).insert({
+        actor_id: req.actor?.id || null,
+        actor_type: req.actor?.type || null,
+        actor_role: req.actor?.role || null,
+        action,
+        target_type: targetType,
+        target_id: targetId === null ? null : String(targetId),
+        meta,
+        ip: req.ip || null
+      });
+
+      if (error) console.error("Audit insert failed:", error.message);
+    } catch (err) {
+      console.error("Audit insert exception:", err?.message || err);
+    }
+  }
+
+  return { authenticate, authorize, login, audit };
+}
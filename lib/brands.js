@@ -0,0 +1,39 @@
+// lib/brands.js (ESM)
+//
+// Brand variables for email templates: company and product names, links,
+// support address and colors. Profiles come from config/brands.json (or
+// BRAND_CONFIG_PATH); named brands only list what differs from the default.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_BRANDS_PATH = path.join(__dirname, "..", "config", "brands.json");
+
+let config = null;
+
+function loadConfig() {
+  if (config) return config;
+
+  const file = (process.env.BRAND_CONFIG_PATH || "").trim() || DEFAULT_BRANDS_PATH;
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+
+  config = { default: raw.default || {}, brands: raw.brands || {} };
+  return config;
+}
+
+export function listBrands() {
+  return ["default", ...Object.keys(loadConfig().brands)];
+}
+
+/**
+ * Brand by name, merged over the default (colors merge key by key).
+ * Unknown names get the default.
+ */
+export function brandProfile(name = "default") {
+  const { default: base, brands } = loadConfig();
+  const brand = brands[name] || {};
+
+  return { ...base, ...brand, colors: { ...base.colors, ...brand.colors } };
+}
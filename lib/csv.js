@@ -0,0 +1,81 @@
+// lib/csv.js (ESM)
+//
+// Just enough CSV (RFC 4180) for spreadsheet exports and imports: quoted
+// fields with commas, quotes and line breaks, CRLF or LF, a UTF-8 BOM, and
+// semicolon-separated files from Excel in locales that use a decimal comma.
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  // Numbers are safe; a text cell like "=HYPERLINK(...)" is not
+  if (typeof value === "string" && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One CSV record, CRLF terminated like Excel writes them
+export function csvLine(values) {
+  return `${values.map(csvCell).join(",")}\r\n`;
+}
+
+// Semicolons only win when the header line has no commas at all
+function detectDelimiter(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  return !firstLine.includes(",") && firstLine.includes(";") ? ";" : ",";
+}
+
+/**
+ * Records as arrays of strings. Blank lines are dropped. Throws on a quote
+ * that never closes, saying which record it started in.
+ */
+export function parseCsv(input) {
+  const text = String(input || "").replace(/^\uFEFF/, "");
+  const delimiter = detectDelimiter(text);
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  let quoteStart = 0;
+
+  const endField = () => {
+    record.push(field);
+    field = "";
+  };
+  const endRecord = () => {
+    endField();
+    if (record.length > 1 || record[0].trim() !== "") records.push(record);
+    record = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === "") {
+      quoted = true;
+      quoteStart = records.length + 1;
+    } else if (ch === delimiter) {
+      endField();
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      endRecord();
+    } else {
+      field += ch;
+    }
+  }
+
+  if (quoted) throw new Error(`Unterminated quoted field in record ${quoteStart}.`);
+  if (field !== "" || record.length) endRecord();
+
+  return records;
+}
@@ -0,0 +1,65 @@
+// lib/emailEvents.js (ESM)
+//
+// Delivery status webhooks from the email provider. Resend signs its
+// webhooks with Svix: HMAC-SHA256 over "<id>.<timestamp>.<raw body>" using
+// the base64 part of the "whsec_..." secret.
+
+import crypto from "crypto";
+
+// Provider event -> our event name (stored as email_<name> in the events table)
+const RESEND_EVENT_TYPES = {
+  "email.sent": "sent",
+  "email.delivered": "delivered",
+  "email.delivery_delayed": "delayed",
+  "email.bounced": "bounced",
+  "email.complained": "complained",
+  "email.opened": "opened",
+  "email.clicked": "clicked"
+};
+
+/**
+ * headers: the request's svix-id, svix-timestamp and svix-signature values.
+ * Rejects anything older than toleranceSec to limit replays.
+ */
+export function verifySvixSignature({ secret, headers, payload, toleranceSec = 5 * 60 }) {
+  const id = headers["svix-id"];
+  const timestamp = headers["svix-timestamp"];
+  const signatures = String(headers["svix-signature"] || "");
+
+  if (!secret || !id || !timestamp || !signatures || !payload) return false;
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > toleranceSec) return false;
+
+  const key = Buffer.from(String(secret).replace(/^whsec_/, ""), "base64");
+  const expected = crypto.createHmac("sha256", key).update(`${id}.${timestamp}.${payload}`).digest();
+
+  // Header holds one or more space separated "v1,<base64>" entries
+  return signatures.split(" ").some((entry) => {
+    const [version, sig] = entry.split(",");
+    if (version !== "v1" || !sig) return false;
+    const given = Buffer.from(sig, "base64");
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  });
+}
+
+/**
+ * { type, messageId, email, permanent, detail, occurredAt } or null for
+ * event types we don't track.
+ */
+export function normalizeResendEvent(body) {
+  const type = RESEND_EVENT_TYPES[body?.type];
+  if (!type) return null;
+
+  const data = body.data || {};
+  const to = Array.isArray(data.to) ? data.to[0] : data.to;
+  const bounce = data.bounce || null;
+
+  return {
+    type,
+    messageId: data.email_id || null,
+    email: String(to || "").trim().toLowerCase() || null,
+    // Only permanent bounces mean the address is dead; transient ones retry
+    permanent: type === "bounced" && (!bounce?.type || bounce.type === "Permanent"),
+    detail: bounce ? { type: bounce.type || null, subtype: bounce.subType || null, message: bounce.message || null } : null,
+    occurredAt: body.created_at || data.created_at || new Date().toISOString()
+  };
+}
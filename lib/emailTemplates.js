@@ -0,0 +1,222 @@
+// lib/emailTemplates.js (ESM)
+//
+// Email templates: Handlebars files in templates/email (or EMAIL_TEMPLATE_DIR)
+// with shared partials, brand variables and per-locale copy. A template only
+// renders HTML; the plain-text part is derived from that HTML, so the two
+// can't drift apart.
+//
+//   <name>.hbs             one per email
+//   partials/<name>.hbs    {{> name}} anywhere, {{#> layout}} wraps a body
+//   locales/<locale>.json  copy for {{t "key"}}, nested by template
+//   sample.json            lead and report used by previews
+//
+// Templates can steer the text version with attributes:
+// data-text="..." replaces the element's text, data-text-skip drops it.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import Handlebars from "handlebars";
+import { NodeType, parse } from "node-html-parser";
+import { SEVERITY_COLORS, formatUsd, scoreColorFor } from "./format.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const DEFAULT_TEMPLATE_DIR = path.join(__dirname, "..", "templates", "email");
+
+//
+// Helpers
+//
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function listFiles(dir, ext) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter((f) => f.endsWith(ext))
+    .map((f) => f.slice(0, -ext.length))
+    .sort();
+}
+
+function lookup(obj, key) {
+  return String(key)
+    .split(".")
+    .reduce((value, part) => (value && typeof value === "object" ? value[part] : undefined), obj);
+}
+
+// "{business}" or "{brand.company}" style placeholders
+function fill(template, values) {
+  return String(template ?? "").replace(/\{([\w.]+)\}/g, (match, key) => String(lookup(values, key) ?? match));
+}
+
+//
+// Plain text
+//
+
+const SKIP_TAGS = new Set(["head", "title", "style", "script", "img"]);
+const PARAGRAPH_TAGS = new Set(["p", "h1", "h2", "h3", "h4", "table", "tr", "ul", "ol"]);
+const LINE_TAGS = new Set(["div", "td", "li", "br"]);
+
+function collapse(text) {
+  return text.replace(/\s+/g, " ");
+}
+
+// Blank line around paragraphs, line break around blocks (including links
+// styled as buttons), nothing around inline elements
+function breakFor(tag, node) {
+  if (PARAGRAPH_TAGS.has(tag)) return 2;
+  if (LINE_TAGS.has(tag)) return 1;
+  if (/display:\s*(inline-)?block/.test(node.getAttribute?.("style") || "")) return 1;
+  return 0;
+}
+
+// out collects strings and numbers; a number asks for at least that many
+// line breaks at that point, so nested blocks don't stack blank lines
+function textOf(node, out) {
+  if (node.nodeType === NodeType.TEXT_NODE) {
+    out.push(collapse(node.text));
+    return;
+  }
+  if (node.nodeType === NodeType.COMMENT_NODE) return;
+
+  const tag = String(node.rawTagName || "").toLowerCase();
+  if (SKIP_TAGS.has(tag) || node.hasAttribute?.("data-text-skip")) return;
+
+  const override = node.getAttribute?.("data-text");
+  const lines = breakFor(tag, node);
+  out.push(lines);
+
+  if (override !== undefined && override !== null) {
+    out.push(override);
+  } else if (tag === "a") {
+    const label = collapse(node.text).trim();
+    const href = String(node.getAttribute("href") || "").replace(/^mailto:/, "");
+    out.push(label && href && label !== href ? `${label}: ${href}` : label || href);
+  } else {
+    if (tag === "li") out.push("- ");
+    for (const child of node.childNodes) textOf(child, out);
+  }
+
+  out.push(lines);
+}
+
+/**
+ * Readable plain text from a rendered email: block elements become line
+ * breaks, links become "label: url", images and <head> are dropped.
+ */
+export function htmlToText(html) {
+  const out = [];
+  textOf(parse(String(html || "").replace(/<!doctype[^>]*>/i, "")), out);
+
+  let text = "";
+  let pending = 0;
+  for (const part of out) {
+    if (typeof part === "number") {
+      pending = Math.max(pending, part);
+    } else if (part.trim()) {
+      if (pending && text) text = `${text.replace(/ +$/, "")}${"\n".repeat(pending)}`;
+      text += pending ? part.trimStart() : part;
+      pending = 0;
+    } else if (!pending) {
+      text += part;
+    }
+  }
+
+  return text
+    .split("\n")
+    .map((line) => collapse(line).trim())
+    .join("\n")
+    .trim();
+}
+
+//
+// Templates
+//
+
+/**
+ * brandProfile(name) supplies the {{brand.*}} variables. cache keeps
+ * compiled templates and copy in memory; turn it off in development so
+ * edits to the files show up on the next render.
+ */
+export function createEmailTemplates({ dir = DEFAULT_TEMPLATE_DIR, defaultLocale = "en", brandProfile, cache = true }) {
+  let loaded = null;
+
+  function load() {
+    if (cache && loaded) return loaded;
+
+    const hb = Handlebars.create();
+    const locales = Object.fromEntries(listFiles(path.join(dir, "locales"), ".json").map((l) => [l, readJson(path.join(dir, "locales", `${l}.json`))]));
+
+    if (!locales[defaultLocale]) throw new Error(`Email templates in ${dir} have no ${defaultLocale} locale.`);
+
+    for (const name of listFiles(path.join(dir, "partials"), ".hbs")) {
+      hb.registerPartial(name, fs.readFileSync(path.join(dir, "partials", `${name}.hbs`), "utf8"));
+    }
+
+    // {{t "report.intro"}} or {{t "report.intro" hours=48}}: copy for the
+    // current locale (falling back to the default), with {placeholders}
+    // filled from the hash and then the template data
+    hb.registerHelper("t", function (key, options) {
+      const root = options.data.root;
+      const copy = lookup(locales[root.locale], key) ?? lookup(locales[defaultLocale], key);
+      if (copy === undefined) return key;
+      return fill(copy, { ...root, ...options.hash });
+    });
+    hb.registerHelper("money", (amount) => formatUsd(amount));
+    hb.registerHelper("scoreColor", (score) => scoreColorFor(score));
+    hb.registerHelper("severityColor", (severity) => SEVERITY_COLORS[severity] || SEVERITY_COLORS.low);
+
+    const templates = {};
+    for (const name of listFiles(dir, ".hbs")) {
+      templates[name] = hb.compile(fs.readFileSync(path.join(dir, `${name}.hbs`), "utf8"));
+    }
+
+    loaded = { locales, templates };
+    return loaded;
+  }
+
+  function list() {
+    return Object.keys(load().templates);
+  }
+
+  // Sample lead and report for previews (sample.json next to the templates)
+  function sample() {
+    return readJson(path.join(dir, "sample.json"));
+  }
+
+  function locales() {
+    return Object.keys(load().locales);
+  }
+
+  // "es-MX" -> "es-MX" if there's copy for it, else "es", else the default
+  function resolveLocale(value) {
+    const available = load().locales;
+    const wanted = String(value || "").trim();
+    if (available[wanted]) return wanted;
+    const language = wanted.split("-")[0].toLowerCase();
+    return available[language] ? language : defaultLocale;
+  }
+
+  /**
+   * { subject, html, text, locale }. The subject is data.subject when given,
+   * otherwise the locale's "<name>.subject" copy. Throws for an unknown
+   * template or a template error.
+   */
+  function render(name, data = {}, { locale, brand } = {}) {
+    const { locales: copy, templates } = load();
+    const template = templates[name];
+    if (!template) throw new Error(`Unknown email template: ${name}`);
+
+    const resolved = resolveLocale(locale);
+    const context = { ...data, brand: brandProfile(brand), locale: resolved };
+    const html = template(context);
+    const subject =
+      data.subject ?? fill(lookup(copy[resolved], `${name}.subject`) ?? lookup(copy[defaultLocale], `${name}.subject`) ?? "", context);
+
+    return { subject, html, text: htmlToText(html), locale: resolved };
+  }
+
+  return { list, locales, resolveLocale, render, sample };
+}
@@ -0,0 +1,96 @@
+// lib/engagement.js (ESM)
+//
+// Open tracking classification and a per-lead engagement score. The score
+// is recomputed from the events table whenever something happens for an
+// address and stored on its lead rows, so lead lists can sort by it.
+
+import { EMAIL_SENDS_TABLE } from "./tables.js";
+
+// Points per signal. Clicks mean far more than opens, which privacy proxies
+// and scanners inflate even after filtering.
+export const ENGAGEMENT_WEIGHTS = { open: 2, click: 10, rescan: 8, visit: 3 };
+export const ENGAGEMENT_MAX = 100;
+
+// Security scanners, link checkers and scripts that fetch every image
+const BOT_AGENTS = /bot|crawl|spider|slurp|preview|scanner|proofpoint|mimecast|barracuda|symantec|messagelabs|curl|wget|python|go-http|java\/|headless|phantom/i;
+
+// Mail providers that fetch images on the user's behalf. Gmail's
+// GoogleImageProxy only fetches when the message is opened, so it counts as
+// human; Apple Mail Privacy Protection and Yahoo prefetch on delivery.
+const PREFETCH_PROXIES = /YahooMailProxy|Apple.*Mail.*Privacy/i;
+
+// Opens this soon after sending are almost always a scanner, not a person
+const PREFETCH_WINDOW_MS = 10 * 1000;
+
+/**
+ * "human" opens count; "bot" and "prefetch" are logged but ignored.
+ */
+export function classifyOpen({ userAgent, sentAt, now = Date.now() }) {
+  const ua = String(userAgent || "");
+
+  if (!ua || BOT_AGENTS.test(ua)) return "bot";
+  if (PREFETCH_PROXIES.test(ua)) return "prefetch";
+  if (sentAt && now - Date.parse(sentAt) < PREFETCH_WINDOW_MS) return "prefetch";
+  return "human";
+}
+
+// Things the prospect did, as opposed to things we did to them
+function isActivity(eventType) {
+  return eventType.startsWith("cta_") || ["email_opened", "email_verified", "report_viewed"].includes(eventType);
+}
+
+export function engagementScore({ opens = 0, clicks = 0, rescans = 0, visits = 0 }) {
+  const raw =
+    opens * ENGAGEMENT_WEIGHTS.open +
+    clicks * ENGAGEMENT_WEIGHTS.click +
+    rescans * ENGAGEMENT_WEIGHTS.rescan +
+    Math.max(0, visits - 1) * ENGAGEMENT_WEIGHTS.visit;
+
+  return Math.min(ENGAGEMENT_MAX, Math.round(raw));
+}
+
+// leads and events are the storage repositories; sends still go through
+// the Supabase client (or its in-memory stand-in)
+export function createEngagementTracker({ supabase, leads, events }) {
+  /**
+   * Recounts signals for one address and writes the score to all of its
+   * lead rows. Never throws; engagement is best effort.
+   *  - opens: sends with at least one human open
+   *  - clicks: tracked link clicks attributed to the address
+   *  - rescans: scans after the first one
+   *  - visits: distinct days with any activity
+   */
+  async function refresh(email) {
+    if (!email) return null;
+
+    try {
+      const [sendsRes, activity, leadRows] = await Promise.all([
+        supabase.from(EMAIL_SENDS_TABLE).select("id").eq("email", email).not("first_opened_at", "is", null),
+        events.list({ email, limit: 2000 }),
+        leads.listByEmail(email)
+      ]);
+
+      if (sendsRes.error) throw new Error(sendsRes.error.message);
+
+      const scanTimes = leadRows.flatMap((l) => [l.first_seen_at || l.created_at, l.last_seen_at].filter(Boolean));
+      const days = new Set([...activity.filter((e) => isActivity(e.event_type)).map((e) => e.created_at), ...scanTimes].map((t) => String(t).slice(0, 10)));
+      const scans = leadRows.reduce((sum, l) => sum + (Number(l.scan_count) || 1), 0);
+
+      const signals = {
+        opens: sendsRes.data?.length || 0,
+        clicks: activity.filter((e) => e.event_type.startsWith("cta_")).length,
+        rescans: Math.max(0, scans - 1),
+        visits: days.size
+      };
+      const score = engagementScore(signals);
+
+      await leads.updateByEmail(email, { engagement_score: score, engagement: signals, engagement_updated_at: new Date().toISOString() });
+      return score;
+    } catch (err) {
+      console.error("Engagement refresh failed:", { email, message: err?.message || err });
+      return null;
+    }
+  }
+
+  return { refresh };
+}
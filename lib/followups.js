@@ -0,0 +1,164 @@
+// lib/followups.js (ESM)
+//
+// Drip emails after a scan: reminders while the discount is live and a
+// re-scan nudge after it expires. The sequence comes from
+// config/followups.json (or FOLLOWUP_CONFIG_PATH); sending is left to the
+// caller so this module has no email code.
+//
+// Progress is kept on the lead row (followups_sent, followups_stopped_at)
+// and runs from the lead's latest scan; a rescan starts the sequence over.
+// Like the scan queue this assumes one running instance.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { lastScanAt } from "./leads.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FOLLOWUPS_PATH = path.join(__dirname, "..", "config", "followups.json");
+
+// Statuses that end the sequence
+const CLOSED_STATUSES = ["won", "lost"];
+
+export function loadFollowupSteps() {
+  const file = (process.env.FOLLOWUP_CONFIG_PATH || "").trim() || DEFAULT_FOLLOWUPS_PATH;
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  const steps = Array.isArray(raw?.steps) ? raw.steps : [];
+
+  for (const step of steps) {
+    if (!step.id || !Number.isFinite(Number(step.afterHours)) || !step.subject) {
+      throw new Error(`Follow-up config ${file} has an invalid step: ${JSON.stringify(step)}`);
+    }
+  }
+
+  return steps
+    .map((step) => ({ ...step, afterHours: Number(step.afterHours), ctaTarget: step.ctaTarget || "book_call" }))
+    .sort((a, b) => a.afterHours - b.afterHours);
+}
+
+// "{business}" style placeholders, same as the package catalog
+export function fillPlaceholders(template, values) {
+  return String(template || "").replace(/\{(\w+)\}/g, (match, key) => (values[key] ?? match).toString());
+}
+
+/**
+ * The step to send now, or null. If the scheduler fell behind and several
+ * steps are due, only the latest is sent; the earlier ones are stale.
+ */
+export function dueFollowupStep(lead, steps, now = Date.now()) {
+  const sent = new Set(Array.isArray(lead.followups_sent) ? lead.followups_sent : []);
+  const ageHours = (now - Date.parse(lastScanAt(lead))) / (60 * 60 * 1000);
+
+  const due = steps.filter((s) => s.afterHours <= ageHours);
+  const latest = due[due.length - 1];
+  if (!latest || sent.has(latest.id)) return null;
+
+  // A step sent later in the sequence means this one was skipped on purpose
+  const laterSent = steps.some((s) => s.afterHours > latest.afterHours && sent.has(s.id));
+  return laterSent ? null : latest;
+}
+
+/**
+ * sendStep(lead, step) sends one email and resolves true if it went out.
+ * leads and events are the storage repositories; isSuppressed(email) and
+ * logEvent(...) are the server's helpers.
+ * requireVerified skips leads whose address was never confirmed.
+ */
+export function createFollowupScheduler({
+  leads,
+  events,
+  steps,
+  sendStep,
+  isSuppressed,
+  logEvent,
+  intervalMs = 15 * 60 * 1000,
+  requireVerified = false
+}) {
+  const maxAfterHours = Math.max(0, ...steps.map((s) => s.afterHours));
+  let timer = null;
+  let running = false;
+
+  async function stop(lead, reason) {
+    try {
+      await leads.update(lead.id, { followups_stopped_at: new Date().toISOString(), followups_stop_reason: reason });
+    } catch (err) {
+      console.error("Follow-up stop failed:", err?.message || err);
+    }
+    await logEvent({ eventType: "followup_stopped", email: lead.email, urlHash: lead.url_hash, domain: lead.domain, meta: { lead_id: lead.id, reason } });
+  }
+
+  async function clickedCta(lead) {
+    const clicks = await events.list({ urlHash: lead.url_hash, typePrefix: "cta_", since: lastScanAt(lead), limit: 1 });
+    return clicks.length > 0;
+  }
+
+  async function processLead(lead, now) {
+    if (CLOSED_STATUSES.includes(lead.status)) return stop(lead, `status_${lead.status}`);
+    if (lead.url_hash && (await clickedCta(lead))) return stop(lead, "cta_clicked");
+    if (await isSuppressed(lead.email)) return stop(lead, "suppressed");
+
+    const step = dueFollowupStep(lead, steps, now);
+    if (!step) return;
+
+    // Left unrecorded so the next tick tries the step again
+    if (!(await sendStep(lead, step))) {
+      console.warn("Follow-up not sent:", { lead: lead.id, step: step.id });
+      return;
+    }
+
+    try {
+      await leads.update(lead.id, { followups_sent: [...(lead.followups_sent || []), step.id], followup_last_sent_at: new Date().toISOString() });
+    } catch (err) {
+      console.error("Follow-up progress save failed:", err?.message || err);
+    }
+
+    await logEvent({
+      eventType: "followup_sent",
+      email: lead.email,
+      urlHash: lead.url_hash,
+      domain: lead.domain,
+      tier: lead.recommended_tier,
+      meta: { lead_id: lead.id, step: step.id }
+    });
+  }
+
+  async function tick() {
+    if (running || !steps.length) return;
+    running = true;
+
+    try {
+      const now = Date.now();
+      // A day past the last step so a late tick still catches it
+      const since = new Date(now - (maxAfterHours + 24) * 60 * 60 * 1000).toISOString();
+
+      const open = await leads.listOpenFollowups({ since, verifiedOnly: requireVerified, limit: 500 });
+
+      // An address can have leads for several sites; only the most recently
+      // scanned one gets the sequence
+      const seen = new Set();
+      for (const lead of open) {
+        if (!lead.email || seen.has(lead.email)) continue;
+        seen.add(lead.email);
+
+        try {
+          await processLead(lead, now);
+        } catch (err) {
+          console.error("Follow-up failed:", { lead: lead.id, message: err?.message || err });
+        }
+      }
+    } catch (err) {
+      console.error("Follow-up tick failed:", err?.message || err);
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(tick, intervalMs);
+    timer.unref?.();
+    tick();
+  }
+
+  return { start, tick };
+}
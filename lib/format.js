@@ -0,0 +1,32 @@
+// lib/format.js (ESM)
+//
+// Formatting shared by everything that renders a report or a lead: the
+// HTML pages, the emails, the PDF and the integration payloads.
+
+export function escapeHtml(str) {
+  return String(str ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#039;");
+}
+
+// "$1250.00", or "" when there is no price
+export function formatUsd(amount) {
+  const n = Number(amount);
+  if (!Number.isFinite(n)) return "";
+  return `$${n.toFixed(2)}`;
+}
+
+// On-screen score palette; the PDF keeps its own darker one for print
+export function scoreColorFor(score) {
+  if (score === null || score === undefined) return "#94a3b8";
+  if (score >= 90) return "#22c55e";
+  if (score >= 70) return "#3b82f6";
+  if (score >= 50) return "#eab308";
+  return "#ef4444";
+}
+
+// Issue badge backgrounds by severity
+export const SEVERITY_COLORS = { high: "#fecaca", medium: "#fde68a", low: "#e2e8f0" };
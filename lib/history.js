@@ -0,0 +1,75 @@
+// lib/history.js (ESM)
+//
+// Compares report snapshots so the UI can chart progress and emails can say
+// things like "you fixed 3 of 5 issues".
+
+function issueList(report) {
+  return Array.isArray(report?.issues) ? report.issues : [];
+}
+
+function slimIssue(issue) {
+  return { id: issue.id, category: issue.category, severity: issue.severity, message: issue.message };
+}
+
+/**
+ * Sentence for emails and the UI, or null when there is nothing to say.
+ */
+export function describeProgress(diff) {
+  if (!diff) return null;
+
+  const parts = [];
+  if (diff.total_before > 0) {
+    parts.push(`You fixed ${diff.fixed_count} of ${diff.total_before} issue${diff.total_before === 1 ? "" : "s"}`);
+  }
+  if (diff.new_count > 0) {
+    parts.push(`${diff.new_count} new issue${diff.new_count === 1 ? "" : "s"} appeared`);
+  }
+  if (typeof diff.score_delta === "number" && diff.score_delta !== 0) {
+    parts.push(`score ${diff.score_delta > 0 ? "+" : ""}${diff.score_delta}`);
+  }
+
+  return parts.length ? `${parts.join(", ")} since your last scan.` : null;
+}
+
+/**
+ * Diff between an older and a newer snapshot: issues fixed, new issues,
+ * issues still open, and score deltas overall and per category.
+ */
+export function diffSnapshots(older, newer) {
+  const before = issueList(older);
+  const after = issueList(newer);
+  const beforeIds = new Set(before.map((i) => i.id));
+  const afterIds = new Set(after.map((i) => i.id));
+
+  const fixed = before.filter((i) => !afterIds.has(i.id)).map(slimIssue);
+  const added = after.filter((i) => !beforeIds.has(i.id)).map(slimIssue);
+  const persisting = after.filter((i) => beforeIds.has(i.id)).map(slimIssue);
+
+  const oldScore = Number(older?.score);
+  const newScore = Number(newer?.score);
+  const scoreDelta = Number.isFinite(oldScore) && Number.isFinite(newScore) ? newScore - oldScore : null;
+
+  const categoryDeltas = {};
+  const oldCats = older?.category_scores || {};
+  const newCats = newer?.category_scores || {};
+  for (const key of new Set([...Object.keys(oldCats), ...Object.keys(newCats)])) {
+    if (typeof oldCats[key] === "number" && typeof newCats[key] === "number") {
+      categoryDeltas[key] = newCats[key] - oldCats[key];
+    }
+  }
+
+  const diff = {
+    from: { id: older?.id ?? null, analyzed_at: older?.analyzed_at ?? null, score: Number.isFinite(oldScore) ? oldScore : null },
+    to: { id: newer?.id ?? null, analyzed_at: newer?.analyzed_at ?? null, score: Number.isFinite(newScore) ? newScore : null },
+    score_delta: scoreDelta,
+    category_deltas: categoryDeltas,
+    fixed,
+    new_issues: added,
+    persisting,
+    fixed_count: fixed.length,
+    new_count: added.length,
+    total_before: before.length
+  };
+
+  return { ...diff, message: describeProgress(diff) };
+}
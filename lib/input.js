@@ -0,0 +1,14 @@
+// lib/input.js (ESM)
+//
+// Request input helpers shared by server.js and the routers.
+
+// Query and body values as a trimmed string; missing ones become ""
+export function safeString(v) {
+  return String(v || "").trim();
+}
+
+// Shape only; scans also check the domain's MX records in server.js
+export function isValidEmailFormat(value) {
+  const email = String(value || "").trim();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
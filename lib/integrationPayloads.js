@@ -0,0 +1,155 @@
+// lib/integrationPayloads.js (ESM)
+//
+// Request bodies for outbound integrations. Every event starts as the same
+// envelope ({ id, type, created_at, data }); a mapper turns it into what the
+// receiving system expects, or returns null when the event means nothing to
+// it (a CRM can't file a contact without an email address).
+
+import { formatUsd } from "./format.js";
+
+export const INTEGRATION_EVENTS = ["lead.created", "report.sent", "cta.clicked", "discount.expiring"];
+
+// Lead columns that leave the building; notes, follow-up state and
+// engagement internals stay here
+const LEAD_FIELDS = [
+  "id",
+  "email",
+  "contact_name",
+  "business_name",
+  "domain",
+  "status",
+  "locale",
+  "score",
+  "summary",
+  "recommended_tier",
+  "recommended_package_name",
+  "recommended_price",
+  "recommended_discount_percent",
+  "recommended_discounted_price",
+  "discount_code",
+  "scan_count",
+  "first_seen_at",
+  "last_seen_at",
+  "verified_at"
+];
+
+export function leadSnapshot(lead) {
+  if (!lead) return null;
+  return Object.fromEntries(LEAD_FIELDS.map((key) => [key, lead[key] ?? null]));
+}
+
+// HubSpot wants property values as strings and drops empty ones
+function properties(values) {
+  return Object.fromEntries(
+    Object.entries(values)
+      .filter(([, value]) => value !== null && value !== undefined && value !== "")
+      .map(([key, value]) => [key, String(value)])
+  );
+}
+
+// Slack mrkdwn treats these three as control characters
+function slackEscape(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+// Tracked link event -> what the button said
+const CTA_LABELS = {
+  cta_book_call: "Book a call",
+  cta_rescan: "Re-scan"
+};
+
+/**
+ * Generic signed webhook: the envelope as is. Events sent from the admin
+ * test endpoint also carry test: true.
+ */
+function webhookPayload(event) {
+  return event;
+}
+
+/**
+ * HubSpot-style contact and deal, for a CRM (or a Zapier/Make step in
+ * front of one) to upsert by email. options.pipeline and options.dealStage
+ * pick where new deals land.
+ */
+function hubspotPayload(event, options = {}) {
+  const { lead } = event.data;
+  if (!lead?.email) return null;
+
+  const [firstname, ...rest] = String(lead.contact_name || "").trim().split(/\s+/);
+  const contact = {
+    properties: properties({
+      email: lead.email,
+      firstname,
+      lastname: rest.join(" "),
+      company: lead.business_name,
+      website: lead.domain,
+      lifecyclestage: "lead",
+      beacon_score: lead.score,
+      beacon_report_url: event.data.report?.url,
+      beacon_last_event: event.type
+    })
+  };
+
+  const deal = lead.recommended_package_name
+    ? {
+        properties: properties({
+          dealname: `${lead.business_name || lead.domain} - ${lead.recommended_package_name}`,
+          amount: lead.recommended_discounted_price ?? lead.recommended_price,
+          pipeline: options.pipeline || "default",
+          dealstage: options.dealStage || "appointmentscheduled",
+          closedate: event.data.discount?.deadline,
+          beacon_tier: lead.recommended_tier,
+          beacon_discount_code: lead.discount_code
+        })
+      }
+    : null;
+
+  return { event: event.type, event_id: event.id, occurred_at: event.created_at, test: event.test || undefined, contact, deal };
+}
+
+function slackText(event) {
+  const { lead, report, click, discount } = event.data;
+  const who = slackEscape(lead?.business_name || lead?.domain || report?.domain || click?.domain || "Someone");
+  const site = slackEscape(lead?.domain || report?.domain || click?.domain || "");
+  const email = lead?.email ? ` (${slackEscape(lead.email)})` : "";
+
+  switch (event.type) {
+    case "lead.created": {
+      const offer = lead?.recommended_package_name
+        ? `, recommended ${slackEscape(lead.recommended_package_name)} at ${formatUsd(lead.recommended_discounted_price ?? lead.recommended_price)}`
+        : "";
+      return `New lead: *${who}*${email} scanned ${site}. Score ${lead?.score ?? "n/a"}${offer}.`;
+    }
+    case "report.sent":
+      return `Report emailed to ${slackEscape(lead?.email || "a lead")} for ${site} (score ${report?.score ?? "n/a"}).`;
+    case "cta.clicked":
+      return `*${who}*${email} clicked "${slackEscape(CTA_LABELS[click?.type] || click?.type || "a link")}" for ${site}.`;
+    case "discount.expiring":
+      return `Discount ${slackEscape(discount?.code || "")} for *${who}*${email} expires in ${discount?.hours_left ?? "?"} hours.`;
+    default:
+      return `${slackEscape(event.type)} for ${site}`;
+  }
+}
+
+/**
+ * Slack incoming webhook message. Plain text plus a section block, so it
+ * also reads fine in tools that only take { text } (Teams, Discord /slack).
+ */
+function slackPayload(event) {
+  const text = `${event.test ? "[test] " : ""}${slackText(event)}`;
+  const link = event.data.report?.url;
+
+  const blocks = [{ type: "section", text: { type: "mrkdwn", text } }];
+  if (link) blocks.push({ type: "context", elements: [{ type: "mrkdwn", text: `<${link}|View report>` }] });
+
+  return { text, blocks };
+}
+
+export const PAYLOAD_TYPES = {
+  webhook: webhookPayload,
+  hubspot: hubspotPayload,
+  slack: slackPayload
+};
@@ -0,0 +1,414 @@
+// lib/integrations.js (ESM)
+//
+// Outbound integrations: lead and pipeline events POSTed to other systems
+// (a CRM, Slack, anything that takes a webhook). Each entry in
+// config/integrations.json (or INTEGRATIONS_CONFIG_PATH) names the events it
+// wants and a payload type (lib/integrationPayloads.js). URLs, signing
+// secrets and tokens are read from the env vars the entry names, so the same
+// config serves every environment and an entry whose URL is unset is off.
+//
+// Every delivery is a job in a per-integration queue (a dead receiver only
+// holds up its own deliveries) and a row in the deliveries table. Network
+// errors, timeouts, 408/425/429 and 5xx are retried with backoff; once the
+// attempts run out, or on any other 4xx, the row is marked dead. Dead
+// letters are listed and retried from the admin API.
+// Like the scan queue this assumes one running instance.
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createJobQueue } from "./jobs.js";
+import { INTEGRATION_EVENTS, PAYLOAD_TYPES, leadSnapshot } from "./integrationPayloads.js";
+import { lastScanAt } from "./leads.js";
+import { INTEGRATION_DELIVERIES_TABLE } from "./tables.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_INTEGRATIONS_PATH = path.join(__dirname, "..", "config", "integrations.json");
+
+const USER_AGENT = "BeaconAI-Integrations/1.0";
+
+// Besides 5xx: timeout, "too early" and rate limited
+const RETRY_STATUSES = new Set([408, 425, 429]);
+
+// Statuses that make a discount reminder pointless
+const CLOSED_STATUSES = ["won", "lost"];
+
+export const DELIVERY_STATUSES = ["pending", "delivered", "dead"];
+
+function configError(file, entry, reason) {
+  return new Error(`Integration config ${file} has an invalid entry (${reason}): ${JSON.stringify(entry)}`);
+}
+
+/**
+ * Integrations from the config file with their env vars resolved:
+ * { name, type, events, url, secret, token, options, enabled }.
+ */
+export function loadIntegrations(env = process.env) {
+  const file = (env.INTEGRATIONS_CONFIG_PATH || "").trim() || DEFAULT_INTEGRATIONS_PATH;
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  const entries = Array.isArray(raw?.integrations) ? raw.integrations : [];
+  const names = new Set();
+
+  return entries.map((entry) => {
+    const type = entry.type || "webhook";
+    if (!entry.name || names.has(entry.name)) throw configError(file, entry, "missing or repeated name");
+    if (!PAYLOAD_TYPES[type]) throw configError(file, entry, `type must be one of ${Object.keys(PAYLOAD_TYPES).join(", ")}`);
+    names.add(entry.name);
+
+    const events = Array.isArray(entry.events) ? entry.events : INTEGRATION_EVENTS;
+    const unknown = events.filter((e) => !INTEGRATION_EVENTS.includes(e));
+    if (unknown.length) throw configError(file, entry, `unknown events ${unknown.join(", ")}`);
+
+    const fromEnv = (key) => (key ? (env[key] || "").trim() : "");
+    const url = fromEnv(entry.urlEnv) || String(entry.url || "").trim();
+    if (url && !/^https?:\/\//i.test(url)) throw configError(file, entry, `URL must be http(s), got "${url}"`);
+
+    return {
+      name: entry.name,
+      type,
+      events,
+      url,
+      secret: fromEnv(entry.secretEnv),
+      token: fromEnv(entry.tokenEnv),
+      options: entry.options || {},
+      enabled: entry.enabled !== false && Boolean(url)
+    };
+  });
+}
+
+// "v1=<hex HMAC-SHA256 of '<timestamp>.<raw body>'>"
+export function signWebhook({ secret, timestamp, payload }) {
+  return `v1=${crypto.createHmac("sha256", secret).update(`${timestamp}.${payload}`).digest("hex")}`;
+}
+
+/**
+ * For receivers (and the local stand-in): headers are the request's
+ * lower-cased x-beacon-timestamp and x-beacon-signature, payload the raw
+ * body. Rejects anything older than toleranceSec to limit replays.
+ */
+export function verifyWebhookSignature({ secret, headers, payload, toleranceSec = 5 * 60 }) {
+  const timestamp = headers["x-beacon-timestamp"];
+  const signature = String(headers["x-beacon-signature"] || "");
+
+  if (!secret || !timestamp || !signature || !payload) return false;
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > toleranceSec) return false;
+
+  const expected = Buffer.from(signWebhook({ secret, timestamp, payload }));
+  const given = Buffer.from(signature);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function deliveryStatus(jobStatus) {
+  if (jobStatus === "done") return "delivered";
+  if (jobStatus === "failed") return "dead";
+  return "pending";
+}
+
+function isRetryable(err) {
+  if (!err?.status) return err?.code !== "NOT_CONFIGURED";
+  return err.status >= 500 || RETRY_STATUSES.has(err.status);
+}
+
+// A stored delivery back in the job shape the queue resumes from
+function jobFromRow(row) {
+  return {
+    id: row.id,
+    payload: row.payload,
+    attempts: row.attempts || 0,
+    error: row.error ?? null,
+    error_code: row.error_code ?? null,
+    result: null,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+/**
+ * integrations come from loadIntegrations(); db is the Supabase client (or
+ * the in-memory stand-in). fetchImpl is only swapped out in scripts.
+ */
+export function createIntegrations({
+  integrations,
+  db,
+  fetchImpl = fetch,
+  maxAttempts = 5,
+  retryDelayMs = 30 * 1000,
+  timeoutMs = 10 * 1000
+}) {
+  const byName = new Map(integrations.map((i) => [i.name, i]));
+  const enabled = integrations.filter((i) => i.enabled);
+
+  async function post(integration, job) {
+    const { event_id: eventId, event_type: eventType, body } = job.payload;
+    const payload = JSON.stringify(body);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+
+    const headers = {
+      "Content-Type": "application/json",
+      "User-Agent": USER_AGENT,
+      "X-Beacon-Event": eventType,
+      "X-Beacon-Event-Id": eventId,
+      "X-Beacon-Delivery": job.id,
+      "X-Beacon-Timestamp": timestamp
+    };
+    if (integration.secret) headers["X-Beacon-Signature"] = signWebhook({ secret: integration.secret, timestamp, payload });
+    if (integration.token) headers.Authorization = `Bearer ${integration.token}`;
+
+    try {
+      return await fetchImpl(integration.url, {
+        method: "POST",
+        headers,
+        body: payload,
+        redirect: "manual",
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+    } catch (err) {
+      const timedOut = err?.name === "TimeoutError";
+      throw Object.assign(new Error(timedOut ? `No response within ${timeoutMs}ms.` : `Request failed: ${err?.cause?.code || err?.message || err}`), {
+        code: timedOut ? "TIMEOUT" : "NETWORK"
+      });
+    }
+  }
+
+  async function deliver(job) {
+    const integration = byName.get(job.payload.integration);
+    if (!integration?.enabled) {
+      throw Object.assign(new Error(`Integration ${job.payload.integration} is not configured.`), { code: "NOT_CONFIGURED" });
+    }
+
+    const res = await post(integration, job);
+    const text = await res.text().catch(() => "");
+
+    if (res.status < 200 || res.status >= 300) {
+      const detail = text.trim().slice(0, 200);
+      throw Object.assign(new Error(`Receiver answered HTTP ${res.status}${detail ? `: ${detail}` : ""}`), {
+        code: `HTTP_${res.status}`,
+        status: res.status
+      });
+    }
+
+    return { status: res.status };
+  }
+
+  async function persist(job) {
+    const { integration, event_id: eventId, event_type: eventType } = job.payload;
+    const { error } = await db.from(INTEGRATION_DELIVERIES_TABLE).upsert({
+      id: job.id,
+      integration,
+      event_id: eventId,
+      event_type: eventType,
+      status: deliveryStatus(job.status),
+      attempts: job.attempts,
+      payload: job.payload,
+      error: job.error,
+      error_code: job.error_code,
+      created_at: job.created_at,
+      updated_at: job.updated_at,
+      delivered_at: job.status === "done" ? job.updated_at : null
+    });
+
+    if (error) console.error("Integration delivery save failed:", error.message);
+  }
+
+  // One queue per integration, one delivery at a time so events arrive in order
+  const queues = new Map(
+    enabled.map((i) => [
+      i.name,
+      createJobQueue({
+        handler: deliver,
+        concurrency: 1,
+        maxAttempts,
+        // The request's own timeout fires first and says what happened
+        timeoutMs: timeoutMs + 5000,
+        retryDelayMs,
+        shouldRetry: isRetryable,
+        onChange: persist
+      })
+    ])
+  );
+
+  function wants(type) {
+    return enabled.some((i) => i.events.includes(type));
+  }
+
+  // A DB error counts as sent: the caller tries again on its next pass
+  async function alreadyEmitted(eventId) {
+    const { data, error } = await db.from(INTEGRATION_DELIVERIES_TABLE).select("id").eq("event_id", eventId).limit(1);
+    if (error) {
+      console.error("Integration delivery lookup failed:", error.message);
+      return true;
+    }
+    return data.length > 0;
+  }
+
+  /**
+   * Queues type for every integration subscribed to it and resolves with
+   * the queued jobs. data.lead is trimmed with leadSnapshot(). Passing id
+   * makes the event idempotent: one already in the deliveries table is not
+   * sent again. only (an integration name) and test are for test sends.
+   * Never throws; a failure here must not break the request that caused it.
+   */
+  async function emit(type, data, { id = null, only = null, test = false } = {}) {
+    try {
+      const targets = only ? enabled.filter((i) => i.name === only) : enabled.filter((i) => i.events.includes(type));
+      if (!targets.length) return [];
+      if (id && (await alreadyEmitted(id))) return [];
+
+      const event = {
+        id: id || crypto.randomUUID(),
+        type,
+        created_at: new Date().toISOString(),
+        ...(test ? { test: true } : {}),
+        data: { ...data, lead: leadSnapshot(data.lead) }
+      };
+
+      const jobs = [];
+      for (const integration of targets) {
+        const body = PAYLOAD_TYPES[integration.type](event, integration.options);
+        if (!body) continue;
+        jobs.push(queues.get(integration.name).enqueue({ integration: integration.name, event_id: event.id, event_type: type, body }));
+      }
+      return jobs;
+    } catch (err) {
+      console.error("Integration emit failed:", { type, message: err?.message || err });
+      return [];
+    }
+  }
+
+  // Re-queue deliveries a crash or deploy interrupted
+  async function resume() {
+    try {
+      const { data, error } = await db
+        .from(INTEGRATION_DELIVERIES_TABLE)
+        .select("*")
+        .eq("status", "pending")
+        .order("created_at", { ascending: true });
+
+      if (error) throw new Error(error.message);
+
+      let resumed = 0;
+      for (const row of data || []) {
+        const queue = queues.get(row.integration);
+        if (!queue) continue;
+        queue.enqueue(row.payload, jobFromRow(row));
+        resumed++;
+      }
+      if (resumed) console.log("Resumed integration deliveries:", resumed);
+    } catch (err) {
+      console.error("Integration delivery resume failed:", err?.message || err);
+    }
+  }
+
+  async function listDeliveries({ status, integration, eventType, limit = 100 } = {}) {
+    let query = db.from(INTEGRATION_DELIVERIES_TABLE).select("*");
+    if (status) query = query.eq("status", status);
+    if (integration) query = query.eq("integration", integration);
+    if (eventType) query = query.eq("event_type", eventType);
+
+    const { data, error } = await query.order("created_at", { ascending: false }).limit(limit);
+    if (error) throw new Error(error.message);
+    return data || [];
+  }
+
+  async function findDelivery(id) {
+    if (!/^[0-9a-f-]{36}$/i.test(String(id))) return null;
+    const { data, error } = await db.from(INTEGRATION_DELIVERIES_TABLE).select("*").eq("id", id).maybeSingle();
+    if (error) throw new Error(error.message);
+    return data || null;
+  }
+
+  /**
+   * Sends a dead delivery again with a fresh set of attempts. Resolves with
+   * the job, or null if there is no such delivery; throws with code
+   * NOT_DEAD or NOT_CONFIGURED when it can't be retried.
+   */
+  async function retry(id) {
+    const row = await findDelivery(id);
+    if (!row) return null;
+
+    if (row.status !== "dead") {
+      throw Object.assign(new Error(`Delivery is ${row.status}, only dead deliveries can be retried.`), { code: "NOT_DEAD" });
+    }
+
+    const queue = queues.get(row.integration);
+    if (!queue) throw Object.assign(new Error(`Integration ${row.integration} is not configured.`), { code: "NOT_CONFIGURED" });
+
+    return queue.enqueue(row.payload, { ...jobFromRow(row), attempts: 0 });
+  }
+
+  // What the admin API shows: no secrets, and only the host of the URL
+  // (Slack and similar put the credential in the path)
+  function list() {
+    return integrations.map((i) => ({
+      name: i.name,
+      type: i.type,
+      events: i.events,
+      enabled: i.enabled,
+      host: i.url ? new URL(i.url).host : null,
+      signed: Boolean(i.secret),
+      ...(enabled.includes(i) ? { queue: queues.get(i.name).stats() } : {})
+    }));
+  }
+
+  return { emit, wants, resume, retry, list, listDeliveries, findDelivery };
+}
+
+/**
+ * Emits discount.expiring once per lead and offer, when a discount has
+ * between 0 and windowHours left. deadlineOf(lead) is the ISO deadline (or
+ * null) and reportUrlOf(lead) the link for the payload; both come from the
+ * server so the numbers match the emails.
+ */
+export function createDiscountWatch({ leads, integrations, deadlineOf, reportUrlOf, windowHours = 6, lookbackDays = 30, intervalMs = 15 * 60 * 1000 }) {
+  let timer = null;
+  let running = false;
+
+  async function tick() {
+    if (running || !integrations.wants("discount.expiring")) return;
+    running = true;
+
+    try {
+      const now = Date.now();
+      const since = new Date(now - lookbackDays * 24 * 60 * 60 * 1000).toISOString();
+      const recent = await leads.listScannedSince({ since, limit: 1000 });
+
+      for (const lead of recent) {
+        if (CLOSED_STATUSES.includes(lead.status) || !lead.discount_code) continue;
+
+        const deadline = deadlineOf(lead);
+        const hoursLeft = deadline ? (Date.parse(deadline) - now) / (60 * 60 * 1000) : -1;
+        if (hoursLeft <= 0 || hoursLeft > windowHours) continue;
+
+        await integrations.emit(
+          "discount.expiring",
+          {
+            lead,
+            report: { url: reportUrlOf(lead), score: lead.score ?? null, domain: lead.domain },
+            discount: {
+              code: lead.discount_code,
+              percent: lead.recommended_discount_percent ?? null,
+              deadline,
+              hours_left: Math.max(1, Math.round(hoursLeft))
+            }
+          },
+          // One per offer: a rescan makes a new deadline and a new event
+          { id: `discount.expiring:${lead.id}:${lastScanAt(lead)}` }
+        );
+      }
+    } catch (err) {
+      console.error("Discount watch failed:", err?.message || err);
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(tick, intervalMs);
+    timer.unref?.();
+    tick();
+  }
+
+  return { start, tick };
+}
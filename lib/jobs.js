@@ -0,0 +1,203 @@
+// lib/jobs.js (ESM)
+//
+// Small in-process job queue with a concurrency limit, retries with backoff,
+// per-attempt timeouts and progress events. Persistence is left to the
+// caller through the onChange hook so the queue itself has no database code.
+
+import crypto from "crypto";
+import { EventEmitter } from "events";
+
+export const JOB_STAGES = ["queued", "fetching", "analyzing", "emailing", "done", "failed"];
+
+const FINAL_STAGES = new Set(["done", "failed"]);
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Runs run(signal) against a deadline. On timeout the signal is aborted
+// with the JOB_TIMEOUT error so the attempt can stop before its next side
+// effect; the race alone would leave it running.
+function withTimeout(run, ms) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`Job timed out after ${ms}ms.`);
+      err.code = "JOB_TIMEOUT";
+      controller.abort(err);
+      reject(err);
+    }, ms);
+  });
+  return Promise.race([run(controller.signal), timeout]).finally(() => clearTimeout(timer));
+}
+
+export function isFinalStage(status) {
+  return FINAL_STAGES.has(status);
+}
+
+/**
+ * handler(job, setStage, signal) does the work and resolves with the job
+ * result. signal is aborted when the attempt times out; check it before
+ * anything that must not happen twice. shouldRetry(err) decides whether a
+ * failed attempt is tried again, except that an attempt which got to one
+ * of noRetryStages (e.g. it may have sent an email) never is, and neither
+ * is a job resumed in one. onChange(job) is called (and not awaited) after
+ * every state change.
+ */
+export function createJobQueue({
+  handler,
+  concurrency = 2,
+  maxAttempts = 3,
+  timeoutMs = 60000,
+  retryDelayMs = 2000,
+  maxFinishedJobs = 500,
+  shouldRetry = () => true,
+  noRetryStages = [],
+  onChange = () => {}
+}) {
+  const jobs = new Map();
+  const pending = [];
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+  let running = 0;
+
+  function update(job, patch) {
+    Object.assign(job, patch, { updated_at: new Date().toISOString() });
+    events.emit(job.id, job);
+
+    try {
+      const result = onChange(job);
+      if (result?.catch) result.catch((err) => console.error("Job onChange failed:", err?.message || err));
+    } catch (err) {
+      console.error("Job onChange failed:", err?.message || err);
+    }
+  }
+
+  // Finished jobs stay readable for polling until the map grows past the cap
+  function prune() {
+    if (jobs.size <= maxFinishedJobs) return;
+    for (const [id, job] of jobs) {
+      if (jobs.size <= maxFinishedJobs) break;
+      if (isFinalStage(job.status)) jobs.delete(id);
+    }
+  }
+
+  async function runJob(job) {
+    while (true) {
+      const attempt = job.attempts + 1;
+      let reached = "fetching";
+      update(job, { attempts: attempt, status: "fetching", error: null, error_code: null });
+
+      try {
+        const result = await withTimeout(
+          (signal) =>
+            handler(
+              job,
+              (stage) => {
+                // A timed-out attempt may still be running; ignore its updates
+                if (job.attempts !== attempt || isFinalStage(job.status)) return;
+                reached = stage;
+                update(job, { status: stage });
+              },
+              signal
+            ),
+          timeoutMs
+        );
+        update(job, { status: "done", result });
+        return;
+      } catch (err) {
+        const retry = job.attempts < maxAttempts && !noRetryStages.includes(reached) && shouldRetry(err);
+        console.warn("Job attempt failed:", { id: job.id, attempt: job.attempts, stage: reached, retry, message: err?.message || err });
+
+        if (!retry) {
+          update(job, { status: "failed", error: err?.message || String(err), error_code: err?.code || null });
+          return;
+        }
+
+        update(job, { status: "queued", error: err?.message || String(err), error_code: err?.code || null });
+        await sleep(retryDelayMs * job.attempts);
+      }
+    }
+  }
+
+  function drain() {
+    while (running < concurrency && pending.length) {
+      const job = pending.shift();
+      running++;
+      runJob(job)
+        .catch((err) => console.error("Job runner crashed:", err?.message || err))
+        .finally(() => {
+          running--;
+          prune();
+          drain();
+        });
+    }
+  }
+
+  function enqueue(payload, existing = null) {
+    const now = new Date().toISOString();
+    const job = existing
+      ? { ...existing }
+      : {
+          id: crypto.randomUUID(),
+          status: "queued",
+          payload,
+          attempts: 0,
+          error: null,
+          error_code: null,
+          result: null,
+          created_at: now,
+          updated_at: now
+        };
+
+    jobs.set(job.id, job);
+
+    // Interrupted past the point of no return: finishing it could repeat
+    // what the last run already did
+    if (existing && noRetryStages.includes(existing.status)) {
+      update(job, {
+        status: "failed",
+        error: `Interrupted while ${existing.status}; not run again.`,
+        error_code: "INTERRUPTED"
+      });
+      return job;
+    }
+
+    update(job, { status: "queued" });
+    pending.push(job);
+    drain();
+    return job;
+  }
+
+  function get(id) {
+    return jobs.get(id) || null;
+  }
+
+  // Calls listener(job) on every change until the job finishes.
+  // Returns an unsubscribe function.
+  function subscribe(id, listener) {
+    events.on(id, listener);
+    return () => events.off(id, listener);
+  }
+
+  function wait(id) {
+    const job = jobs.get(id);
+    if (!job) return Promise.reject(new Error(`Unknown job ${id}`));
+    if (isFinalStage(job.status)) return Promise.resolve(job);
+
+    return new Promise((resolve) => {
+      const unsubscribe = subscribe(id, (j) => {
+        if (!isFinalStage(j.status)) return;
+        unsubscribe();
+        resolve(j);
+      });
+    });
+  }
+
+  function stats() {
+    return { running, pending: pending.length, tracked: jobs.size };
+  }
+
+  return { enqueue, get, subscribe, wait, stats };
+}
@@ -0,0 +1,128 @@
+// lib/leads.js (ESM)
+//
+// One lead per (email, domain). A repeat scan updates that lead instead of
+// adding a row: the counter goes up, the offer and report fields are
+// replaced with the new scan's, and the follow-up sequence starts over as
+// if it were a new lead. Duplicates from before this (or that differ only
+// by casing or "www.") are folded together with mergeLeads().
+
+export const UNKNOWN_BUSINESS = "Unknown Business";
+
+// Fields a scan writes; everything else on the lead belongs to the pipeline
+const SCAN_FIELDS = [
+  "url_hash",
+  "locale",
+  "score",
+  "summary",
+  "recommended_tier",
+  "recommended_package_name",
+  "recommended_price",
+  "recommended_discount_percent",
+  "recommended_discounted_price",
+  "discount_code",
+  "discount_deadline_hours"
+];
+
+// Worst first; a merged lead keeps the worst delivery status
+const EMAIL_STATUS_ORDER = ["complained", "bounced"];
+
+export function normalizeLeadEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+export function normalizeLeadDomain(domain) {
+  return String(domain || "")
+    .trim()
+    .toLowerCase()
+    .replace(/^www\./, "");
+}
+
+export function leadKey(lead) {
+  return `${normalizeLeadEmail(lead?.email)}|${normalizeLeadDomain(lead?.domain)}`;
+}
+
+// When the current scan (and with it the offer and follow-ups) started
+export function lastScanAt(lead) {
+  return lead?.last_seen_at || lead?.created_at || null;
+}
+
+// When the lead's discount runs out, or null if it has none
+export function discountDeadline(lead) {
+  const hours = Number(lead?.discount_deadline_hours) || 0;
+  if (!hours || !lastScanAt(lead)) return null;
+  return new Date(Date.parse(lastScanAt(lead)) + hours * 60 * 60 * 1000).toISOString();
+}
+
+// "active", "expired" or "none"
+export function discountStatus(lead, now = Date.now()) {
+  const deadline = discountDeadline(lead);
+  if (!deadline || !lead.discount_code) return "none";
+  return Date.parse(deadline) > now ? "active" : "expired";
+}
+
+function hasName(value) {
+  const name = String(value || "").trim();
+  return Boolean(name) && name !== UNKNOWN_BUSINESS;
+}
+
+function byLastScan(a, b) {
+  return String(lastScanAt(a)).localeCompare(String(lastScanAt(b)));
+}
+
+/**
+ * Patch for a lead that was scanned again. scan holds the new row's fields
+ * (as saveLead builds them); names only replace the old ones when given.
+ */
+export function rescanPatch(existing, scan, now = new Date().toISOString()) {
+  const patch = { scan_count: (Number(existing.scan_count) || 1) + 1, last_seen_at: now };
+  for (const key of SCAN_FIELDS) if (scan[key] !== undefined) patch[key] = scan[key];
+
+  if (hasName(scan.business_name)) patch.business_name = scan.business_name;
+  if (hasName(scan.contact_name)) patch.contact_name = scan.contact_name;
+  if (!existing.verified_at && scan.verified_at) patch.verified_at = scan.verified_at;
+
+  // New offer, new sequence
+  patch.followups_sent = [];
+  patch.followups_stopped_at = null;
+  patch.followups_stop_reason = null;
+
+  return patch;
+}
+
+/**
+ * Patch that folds duplicates into primary. Counters add up, first/last
+ * seen widen, names, scan fields and follow-up progress come from the most
+ * recent scan, and the pipeline status stays the primary's.
+ */
+export function mergeLeads(primary, duplicates) {
+  const all = [primary, ...duplicates];
+  const newestFirst = [...all].sort(byLastScan).reverse();
+  const latest = newestFirst[0];
+
+  const times = (key) => all.map((l) => l[key] || l.created_at).filter(Boolean).sort();
+  const firstSeen = times("first_seen_at");
+  const lastSeen = times("last_seen_at");
+  const verified = all.map((l) => l.verified_at).filter(Boolean).sort();
+
+  const patch = {
+    email: normalizeLeadEmail(primary.email),
+    domain: normalizeLeadDomain(primary.domain),
+    scan_count: all.reduce((sum, l) => sum + (Number(l.scan_count) || 1), 0),
+    first_seen_at: firstSeen[0] || null,
+    last_seen_at: lastSeen[lastSeen.length - 1] || null,
+    verified_at: verified[0] || null,
+    business_name: newestFirst.find((l) => hasName(l.business_name))?.business_name || primary.business_name || UNKNOWN_BUSINESS,
+    contact_name: newestFirst.find((l) => hasName(l.contact_name))?.contact_name || null,
+    // The sequence belongs to the latest scan
+    followups_sent: Array.isArray(latest.followups_sent) ? latest.followups_sent : [],
+    followups_stopped_at: latest.followups_stopped_at ?? null,
+    followups_stop_reason: latest.followups_stop_reason ?? null
+  };
+
+  for (const key of SCAN_FIELDS) if (latest[key] !== undefined) patch[key] = latest[key];
+
+  const emailStatus = EMAIL_STATUS_ORDER.find((s) => all.some((l) => l.email_status === s));
+  if (emailStatus) patch.email_status = emailStatus;
+
+  return patch;
+}
@@ -0,0 +1,69 @@
+// lib/links.js (ESM)
+//
+// Tracked redirect links for emails. The destination and event fields are
+// packed into one signed token, so /r can't be used as an open redirect and
+// nobody can forge click events by editing query params. Destinations must
+// also be on the host allow-list, checked when building and when following.
+// Links identify the email they came from by an opaque send id, never by
+// address, so URLs carry no personal data.
+
+import { signToken, verifyToken } from "./tokens.js";
+
+const LINK_PURPOSE = "link";
+
+// "Example.com" matches example.com and any subdomain of it
+function hostAllowed(hostname, allowedHosts) {
+  const host = String(hostname || "").toLowerCase();
+  return allowedHosts.some((allowed) => host === allowed || host.endsWith(`.${allowed}`));
+}
+
+export function createLinkSigner({ secret, baseUrl, allowedHosts }) {
+  const hosts = allowedHosts.map((h) => String(h).trim().toLowerCase()).filter(Boolean);
+
+  function isAllowedDestination(to) {
+    try {
+      const url = new URL(to);
+      return /^https?:$/.test(url.protocol) && hostAllowed(url.hostname, hosts);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Throws for a destination off the allow-list: that's a bug in the
+   * template, not something to paper over at click time.
+   */
+  function build({ to, eventType, sendId = null, urlHash = null, domain = null, tier = null }) {
+    if (!isAllowedDestination(to)) throw new Error(`Tracked link destination not allowed: ${to}`);
+
+    const u = new URL("/r", baseUrl);
+    u.searchParams.set("l", signToken(LINK_PURPOSE, { to, e: eventType, s: sendId, h: urlHash, d: domain, t: tier }, secret));
+    return u.toString();
+  }
+
+  /**
+   * Resolves { link } for a good link, or { reason } explaining the rejection:
+   * "unsigned" (old style params), "invalid" (altered or wrong key) or
+   * "host_not_allowed" (signed before the allow-list changed).
+   */
+  function resolve(query) {
+    if (!query?.l) return { reason: "unsigned" };
+
+    const { payload, error } = verifyToken(LINK_PURPOSE, query.l, secret);
+    if (error || !payload?.to) return { reason: "invalid" };
+    if (!isAllowedDestination(payload.to)) return { reason: "host_not_allowed", payload };
+
+    return {
+      link: {
+        to: payload.to,
+        eventType: payload.e || "click",
+        sendId: payload.s || null,
+        urlHash: payload.h,
+        domain: payload.d,
+        tier: payload.t
+      }
+    };
+  }
+
+  return { build, resolve, isAllowedDestination };
+}
@@ -0,0 +1,146 @@
+// lib/migrations.js (ESM)
+//
+// Versioned SQL migrations in migrations/ (or MIGRATIONS_DIR), named
+// NNN_description.sql and applied in order. Applied versions are recorded
+// in SCHEMA_MIGRATIONS_TABLE; the newest file's number is the schema
+// version this code expects.
+//
+// DDL needs a direct Postgres connection, so applying goes through a pg
+// client (`npm run migrate`, DATABASE_URL). The startup check only reads
+// (the version table, and whether every table the code uses is there) and
+// works through the Supabase client.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { APP_TABLES, SCHEMA_MIGRATIONS_TABLE } from "./tables.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const DEFAULT_MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.sql$/;
+
+// Any fixed number works; it only has to be the same for every runner
+const LOCK_KEY = 4_022_001;
+
+export function migrationsDir() {
+  return (process.env.MIGRATIONS_DIR || "").trim() || DEFAULT_MIGRATIONS_DIR;
+}
+
+/**
+ * [{ version, name, file, sql }] oldest first. Throws on two files with the
+ * same version so a bad merge can't silently skip one.
+ */
+export function loadMigrations(dir = migrationsDir()) {
+  const migrations = fs
+    .readdirSync(dir)
+    .map((file) => ({ file, match: FILE_PATTERN.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => ({
+      version: Number(match[1]),
+      name: match[2],
+      file,
+      sql: fs.readFileSync(path.join(dir, file), "utf8")
+    }))
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i += 1) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Migrations ${migrations[i - 1].file} and ${migrations[i].file} share version ${migrations[i].version}.`);
+    }
+  }
+
+  return migrations;
+}
+
+export function expectedSchemaVersion(dir = migrationsDir()) {
+  const migrations = loadMigrations(dir);
+  return migrations.length ? migrations[migrations.length - 1].version : 0;
+}
+
+// PostgREST answers 42P01 / PGRST205 for a table it doesn't know
+const MISSING_TABLE_CODES = ["42P01", "PGRST205"];
+
+/**
+ * { ok, current, expected, missing } read through the Supabase client.
+ * current is 0 when nothing has been applied; a missing version table
+ * counts as that too. missing lists tables the code uses that the database
+ * doesn't have, e.g. when a version row was written by hand. Throws if the
+ * database can't be reached.
+ */
+export async function checkSchemaVersion(supabase, { dir = migrationsDir(), tables = APP_TABLES } = {}) {
+  const expected = expectedSchemaVersion(dir);
+
+  const { data, error } = await supabase
+    .from(SCHEMA_MIGRATIONS_TABLE)
+    .select("version")
+    .order("version", { ascending: false })
+    .limit(1);
+
+  if (error && !MISSING_TABLE_CODES.includes(error.code)) throw new Error(error.message);
+
+  const current = Number(data?.[0]?.version) || 0;
+
+  const missing = [];
+  for (const table of tables) {
+    const { error: tableErr } = await supabase.from(table).select("*").limit(0);
+    if (!tableErr) continue;
+    if (!MISSING_TABLE_CODES.includes(tableErr.code)) throw new Error(tableErr.message);
+    missing.push(table);
+  }
+
+  return { ok: current === expected && !missing.length, current, expected, missing };
+}
+
+/**
+ * Applies pending migrations over a connected pg client, each in its own
+ * transaction. Resolves with the versions applied. An advisory lock keeps
+ * two deploys from migrating at once.
+ */
+export async function runMigrations(client, { dir = migrationsDir(), log = console.log } = {}) {
+  const migrations = loadMigrations(dir);
+
+  await client.query("select pg_advisory_lock($1)", [LOCK_KEY]);
+  try {
+    await client.query(`
+      create table if not exists ${SCHEMA_MIGRATIONS_TABLE} (
+        version integer primary key,
+        name text not null,
+        applied_at timestamptz not null default now()
+      );
+      alter table ${SCHEMA_MIGRATIONS_TABLE} enable row level security;
+    `);
+
+    const { rows } = await client.query(`select version from ${SCHEMA_MIGRATIONS_TABLE}`);
+    const applied = new Set(rows.map((r) => Number(r.version)));
+
+    const known = new Set(migrations.map((m) => m.version));
+    const unknown = [...applied].filter((v) => !known.has(v));
+    if (unknown.length) {
+      throw new Error(`The database has migration ${unknown.join(", ")}, which this code doesn't know about. Deploy newer code instead.`);
+    }
+
+    const done = [];
+    for (const migration of migrations.filter((m) => !applied.has(m.version))) {
+      log(`Applying ${migration.file}`);
+      await client.query("begin");
+      try {
+        await client.query(migration.sql);
+        await client.query(`insert into ${SCHEMA_MIGRATIONS_TABLE} (version, name) values ($1, $2)`, [migration.version, migration.name]);
+        await client.query("commit");
+      } catch (err) {
+        await client.query("rollback");
+        throw new Error(`${migration.file} failed: ${err.message}`);
+      }
+      done.push(migration.version);
+    }
+
+    // Supabase's API caches the schema; new tables and columns show up
+    // after a reload
+    if (done.length) await client.query("notify pgrst, 'reload schema'");
+
+    return done;
+  } finally {
+    await client.query("select pg_advisory_unlock($1)", [LOCK_KEY]);
+  }
+}
@@ -0,0 +1,182 @@
+// lib/packages.js (ESM)
+//
+// Package catalog and the one recommendation engine used by the API, the UI
+// and every email. The catalog comes from config/packages.json (or the file
+// named by PACKAGE_CATALOG_PATH) and can be overridden by a Supabase table.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_CATALOG_PATH = path.join(__dirname, "..", "config", "packages.json");
+
+const TABLE_REFRESH_MS = 5 * 60 * 1000;
+
+let catalog = null;
+let tableLoadedAt = 0;
+
+//
+// Helpers
+//
+
+export function calcDiscountedPrice(price, discountPercent) {
+  const p = Number(price);
+  const d = Number(discountPercent);
+  if (!Number.isFinite(p) || !Number.isFinite(d)) return null;
+  return Math.round(p * (1 - d / 100) * 100) / 100;
+}
+
+function validateCatalog(value, source) {
+  const packages = Array.isArray(value?.packages) ? value.packages : [];
+  if (!packages.length) throw new Error(`Package catalog from ${source} has no packages.`);
+
+  for (const pkg of packages) {
+    if (!pkg.tier || !pkg.name || !Number.isFinite(Number(pkg.price))) {
+      throw new Error(`Package catalog from ${source} has an invalid package: ${JSON.stringify(pkg)}`);
+    }
+  }
+
+  return {
+    offer: {
+      discountPercent: Number(value.offer?.discountPercent ?? 0),
+      code: value.offer?.code || null,
+      deadlineHours: Number(value.offer?.deadlineHours ?? 48),
+      urgencyLine: value.offer?.urgencyLine || ""
+    },
+    packages: packages.map((pkg) => ({
+      tier: pkg.tier,
+      name: pkg.name,
+      price: Number(pkg.price),
+      reason: pkg.reason || "",
+      bullets: Array.isArray(pkg.bullets) ? pkg.bullets : [],
+      eligibility: Array.isArray(pkg.eligibility) ? pkg.eligibility : [],
+      default: Boolean(pkg.default)
+    })),
+    source
+  };
+}
+
+function loadCatalogFile() {
+  const file = (process.env.PACKAGE_CATALOG_PATH || "").trim() || DEFAULT_CATALOG_PATH;
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  return validateCatalog(raw, file);
+}
+
+//
+// Catalog access
+//
+
+export function getCatalog() {
+  if (!catalog) catalog = loadCatalogFile();
+  return catalog;
+}
+
+/**
+ * Reloads packages from PACKAGE_CATALOG_TABLE when it is set. The offer
+ * (discount, code, deadline) always comes from the file config. Keeps the
+ * last good catalog if the table read fails.
+ */
+export async function refreshCatalog(supabase, { force = false } = {}) {
+  const table = (process.env.PACKAGE_CATALOG_TABLE || "").trim();
+  if (!table || !supabase) return getCatalog();
+  if (!force && Date.now() - tableLoadedAt < TABLE_REFRESH_MS) return getCatalog();
+
+  try {
+    const { data, error } = await supabase
+      .from(table)
+      .select("*")
+      .eq("active", true)
+      .order("sort_order", { ascending: true });
+
+    if (error) throw new Error(error.message);
+
+    catalog = validateCatalog(
+      {
+        offer: loadCatalogFile().offer,
+        packages: (data || []).map((row) => ({
+          tier: row.tier,
+          name: row.name,
+          price: row.price,
+          reason: row.reason,
+          bullets: row.bullets,
+          eligibility: row.eligibility,
+          default: row.is_default
+        }))
+      },
+      `table ${table}`
+    );
+    tableLoadedAt = Date.now();
+  } catch (err) {
+    console.error("Package catalog refresh failed:", err?.message || err);
+  }
+
+  return getCatalog();
+}
+
+export function publicCatalog(value = getCatalog()) {
+  return {
+    offer: value.offer,
+    packages: value.packages.map((pkg) => ({
+      tier: pkg.tier,
+      name: pkg.name,
+      price: pkg.price,
+      discountedPrice: calcDiscountedPrice(pkg.price, value.offer.discountPercent),
+      bullets: pkg.bullets
+    }))
+  };
+}
+
+//
+// Recommendation
+//
+
+function matchesCondition(cond, report) {
+  const score = Number(report?.score);
+  const issues = Array.isArray(report?.issues) ? report.issues : [];
+  const ids = new Set(issues.map((i) => i.id));
+  const high = issues.filter((i) => i.severity === "high").length;
+
+  if (cond.minScore !== undefined && !(score >= cond.minScore)) return false;
+  if (cond.maxScore !== undefined && !(score <= cond.maxScore)) return false;
+  if (cond.minHighIssues !== undefined && high < cond.minHighIssues) return false;
+  if (cond.maxHighIssues !== undefined && high > cond.maxHighIssues) return false;
+  if (Array.isArray(cond.anyIssues) && !cond.anyIssues.some((id) => ids.has(id))) return false;
+  if (Array.isArray(cond.allIssues) && !cond.allIssues.every((id) => ids.has(id))) return false;
+
+  if (cond.categoryBelow) {
+    const scores = report?.category_scores || {};
+    for (const [category, limit] of Object.entries(cond.categoryBelow)) {
+      if (!(typeof scores[category] === "number" && scores[category] < limit)) return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Picks the first package whose eligibility list has a matching condition,
+ * falling back to the package marked default.
+ */
+export function recommendPackage(report, { businessName, catalog: value = getCatalog() } = {}) {
+  const selected =
+    value.packages.find((pkg) => pkg.eligibility.some((cond) => matchesCondition(cond, report))) ||
+    value.packages.find((pkg) => pkg.default) ||
+    value.packages[0];
+
+  const { offer } = value;
+  const business = String(businessName || "").trim() || "your business";
+
+  return {
+    tier: selected.tier,
+    packageName: selected.name,
+    price: selected.price,
+    discountPercent: offer.discountPercent,
+    discountedPrice: calcDiscountedPrice(selected.price, offer.discountPercent),
+    code: offer.code,
+    deadlineHours: offer.deadlineHours,
+    urgencyLine: offer.urgencyLine,
+    reason: selected.reason.replace(/\{business\}/g, business),
+    bullets: selected.bullets
+  };
+}
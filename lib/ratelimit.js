@@ -0,0 +1,60 @@
+// lib/ratelimit.js (ESM)
+//
+// In-process sliding window counters for abuse protection. Like the scan
+// queue, state lives in memory, so limits are per instance and reset on
+// restart.
+
+/**
+ * Allows at most `max` hits per key in any `windowMs` span.
+ * hit(key) records an attempt when it's allowed; peek(key) only checks.
+ * Both return { allowed, limit, remaining, retryAfterSec }.
+ */
+export function createRateLimiter({ windowMs, max }) {
+  const hits = new Map();
+
+  function recent(key, now) {
+    const list = (hits.get(key) || []).filter((t) => t > now - windowMs);
+    if (list.length) hits.set(key, list);
+    else hits.delete(key);
+    return list;
+  }
+
+  function status(list, now) {
+    const allowed = list.length < max;
+    const retryAfterSec = allowed ? 0 : Math.max(1, Math.ceil((list[0] + windowMs - now) / 1000));
+    return { allowed, limit: max, remaining: Math.max(0, max - list.length), retryAfterSec };
+  }
+
+  function peek(key) {
+    if (!key || max <= 0) return { allowed: true, limit: max, remaining: max, retryAfterSec: 0 };
+    return status(recent(key, Date.now()), Date.now());
+  }
+
+  function hit(key) {
+    if (!key || max <= 0) return { allowed: true, limit: max, remaining: max, retryAfterSec: 0 };
+
+    const now = Date.now();
+    const list = recent(key, now);
+    const result = status(list, now);
+    if (!result.allowed) return result;
+
+    list.push(now);
+    hits.set(key, list);
+    return { ...result, remaining: result.remaining - 1 };
+  }
+
+  // Drop keys whose hits have all aged out so the map doesn't grow forever
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const key of hits.keys()) recent(key, now);
+  }, Math.min(windowMs, 10 * 60 * 1000));
+  sweeper.unref?.();
+
+  return { hit, peek };
+}
+
+export function formatRetryAfter(seconds) {
+  if (seconds < 90) return `${seconds} seconds`;
+  if (seconds < 90 * 60) return `${Math.ceil(seconds / 60)} minutes`;
+  return `${Math.ceil(seconds / 3600)} hours`;
+}
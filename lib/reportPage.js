@@ -0,0 +1,148 @@
+// lib/reportPage.js (ESM)
+//
+// Standalone HTML page for a shared report link (/report/:token). Same look
+// as the report email, plus a live countdown for the discount.
+
+import { SEVERITY_COLORS, escapeHtml, formatUsd, scoreColorFor } from "./format.js";
+import { CATEGORIES } from "./rules.js";
+
+/**
+ * report: the cached report row (already evaluated).
+ * recommendation: recommendPackage() output.
+ * deadline: ISO time the discount ends, or null for no countdown.
+ * ctaUrl: tracked "book a call" link.
+ * brand: brandProfile() output for the names, colors and footer.
+ */
+export function renderReportPage({ report, businessName, recommendation: rec, deadline, ctaUrl, brand }) {
+  const score = report?.score ?? null;
+  const scores = report?.category_scores || {};
+  const issues = Array.isArray(report?.issues) ? report.issues : [];
+  const analyzedAt = report?.analyzed_at || report?.updated_at || null;
+
+  const categoriesHtml = Object.keys(CATEGORIES)
+    .filter((key) => typeof scores[key] === "number")
+    .map(
+      (key) => `<div class="tile">
+          <div class="muted small">${escapeHtml(CATEGORIES[key])}</div>
+          <div class="tile-score" style="color:${scoreColorFor(scores[key])};">${scores[key]}</div>
+        </div>`
+    )
+    .join("");
+
+  const issuesHtml = issues.length
+    ? issues
+        .map(
+          (i) => `<div class="card">
+          <div class="severity" style="color:${SEVERITY_COLORS[i.severity] || SEVERITY_COLORS.low};">${escapeHtml(i.severity)} · ${escapeHtml(CATEGORIES[i.category] || i.category)}</div>
+          <div class="issue">${escapeHtml(i.message)}</div>
+          ${i.fix ? `<div class="muted small">Fix: ${escapeHtml(i.fix)}</div>` : ""}
+        </div>`
+        )
+        .join("")
+    : `<div class="card good">No major issues found.</div>`;
+
+  const bulletsHtml = rec?.bullets?.length ? `<ul>${rec.bullets.map((b) => `<li>${escapeHtml(b)}</li>`).join("")}</ul>` : "";
+
+  const offerActive = deadline && Date.parse(deadline) > Date.now();
+  const offerHtml = rec
+    ? `<div class="panel">
+        <div class="label">Recommended</div>
+        <div class="rec-name">${escapeHtml(rec.packageName)}</div>
+        <div class="muted">${escapeHtml(rec.reason)}</div>
+        <div class="price">
+          ${
+            offerActive
+              ? `<span class="strike">${formatUsd(rec.price)}</span> <strong>${formatUsd(rec.discountedPrice)}</strong> with code <strong>${escapeHtml(rec.code)}</strong>`
+              : `<strong>${formatUsd(rec.price)}</strong>`
+          }
+        </div>
+        ${offerActive ? `<div class="countdown" data-deadline="${escapeHtml(deadline)}">${escapeHtml(rec.urgencyLine)}</div>` : ""}
+        ${bulletsHtml}
+        ${ctaUrl ? `<a class="cta" href="${escapeHtml(ctaUrl)}">Book a quick review call</a>` : ""}
+      </div>`
+    : "";
+
+  return `<!doctype html>
+<html>
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <meta name="robots" content="noindex, nofollow" />
+    <title>${escapeHtml(brand.product)} Report · ${escapeHtml(report?.domain || "")}</title>
+    <style>
+      body { margin:0; background:${brand.colors.background}; font-family:Arial,Helvetica,sans-serif; color:${brand.colors.text}; }
+      .wrap { max-width:760px; margin:0 auto; padding:24px; display:grid; gap:14px; }
+      .panel { background:${brand.colors.panel}; border:1px solid rgba(255,255,255,0.10); border-radius:16px; padding:18px 20px; }
+      .card { margin-top:10px; padding:12px 14px; border-radius:12px; background:rgba(255,255,255,0.04); border:1px solid rgba(255,255,255,0.10); }
+      .card.good { background:rgba(34,197,94,0.12); border-color:rgba(34,197,94,0.35); color:#a7f3d0; }
+      .tiles { display:flex; flex-wrap:wrap; gap:8px; margin-top:14px; }
+      .tile { flex:1 1 100px; padding:10px 12px; border-radius:12px; background:rgba(255,255,255,0.04); border:1px solid rgba(255,255,255,0.10); text-align:center; }
+      .tile-score { margin-top:4px; font-size:15px; font-weight:900; }
+      .muted { color:rgba(229,231,235,0.75); line-height:1.5; }
+      .small { font-size:12px; }
+      .label { font-size:12px; color:rgba(229,231,235,0.70); }
+      .severity { font-size:11px; font-weight:900; text-transform:uppercase; letter-spacing:0.6px; }
+      .issue { margin-top:4px; font-size:14px; font-weight:700; }
+      .score { font-size:28px; font-weight:950; }
+      .rec-name { margin-top:4px; font-size:17px; font-weight:900; }
+      .price { margin-top:10px; font-size:15px; }
+      .strike { text-decoration:line-through; color:rgba(229,231,235,0.55); }
+      .countdown { margin-top:6px; font-size:13px; font-weight:800; color:#fde68a; }
+      .cta { display:inline-block; margin-top:14px; padding:12px 16px; border-radius:12px; background:${brand.colors.accent}; color:#fff; font-weight:800; text-decoration:none; }
+      ul { margin:10px 0 0 18px; padding:0; font-size:13px; line-height:1.6; }
+    </style>
+  </head>
+  <body>
+    <div class="wrap">
+      <div class="panel">
+        <div style="font-size:18px;font-weight:800;">${escapeHtml(brand.product)} Website Report</div>
+        <div class="muted small">${escapeHtml(businessName || report?.domain || "")}${analyzedAt ? ` · scanned ${escapeHtml(new Date(analyzedAt).toUTCString())}` : ""}</div>
+        <div style="display:flex;justify-content:space-between;align-items:center;margin-top:14px;">
+          <div>
+            <div class="label">Website</div>
+            <div style="font-weight:700;">${escapeHtml(report?.domain || "")}</div>
+          </div>
+          <div style="text-align:right;">
+            <div class="label">Score</div>
+            <div class="score" style="color:${scoreColorFor(score)};">${score === null ? "N/A" : `${score}/100`}</div>
+          </div>
+        </div>
+        <div class="muted" style="margin-top:12px;">${escapeHtml(report?.summary || "")}</div>
+        ${categoriesHtml ? `<div class="tiles">${categoriesHtml}</div>` : ""}
+      </div>
+
+      <div class="panel">
+        <div style="font-weight:800;">What we found</div>
+        ${issuesHtml}
+      </div>
+
+      ${offerHtml}
+
+      <div class="muted small" style="text-align:center;">
+        <a href="${escapeHtml(brand.website)}" style="color:inherit;">${escapeHtml(brand.company)}</a>
+        ${brand.supportEmail ? ` · <a href="mailto:${escapeHtml(brand.supportEmail)}" style="color:inherit;">${escapeHtml(brand.supportEmail)}</a>` : ""}
+      </div>
+    </div>
+    <script>
+      (function () {
+        var el = document.querySelector(".countdown");
+        if (!el) return;
+        var end = Date.parse(el.getAttribute("data-deadline"));
+        function tick() {
+          var left = end - Date.now();
+          if (left <= 0) {
+            el.textContent = "This offer has expired.";
+            return;
+          }
+          var h = Math.floor(left / 3600000);
+          var m = Math.floor((left % 3600000) / 60000);
+          var s = Math.floor((left % 60000) / 1000);
+          el.textContent = "Discount ends in " + h + "h " + m + "m " + s + "s";
+          setTimeout(tick, 1000);
+        }
+        tick();
+      })();
+    </script>
+  </body>
+</html>`;
+}
@@ -0,0 +1,269 @@
+// lib/reportPdf.js (ESM)
+//
+// Branded PDF version of the website report for proposals and email
+// attachments. Drawn with pdfkit's built in fonts, so it needs no browser,
+// font files or outside service.
+
+import PDFDocument from "pdfkit";
+import { formatUsd } from "./format.js";
+import { CATEGORIES, SEVERITY_ORDER } from "./rules.js";
+
+const BRAND = {
+  company: "Shoreline Dev Co",
+  website: "shorelinedevco.com",
+  navy: "#0b1220",
+  panel: "#0f1b33",
+  accent: "#2b7bff",
+  text: "#111827",
+  muted: "#6b7280",
+  rule: "#e5e7eb"
+};
+
+const SEVERITY_COLORS = { high: "#dc2626", medium: "#d97706", low: "#6b7280" };
+
+// Darker than the on-screen palette so it prints on white
+function scoreColorFor(score) {
+  if (score === null || score === undefined) return "#94a3b8";
+  if (score >= 90) return "#16a34a";
+  if (score >= 70) return "#2563eb";
+  if (score >= 50) return "#ca8a04";
+  return "#dc2626";
+}
+
+function formatDate(value) {
+  const time = Date.parse(value || "");
+  if (!Number.isFinite(time)) return "";
+  return new Date(time).toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric", timeZone: "UTC" });
+}
+
+//
+// Drawing helpers
+//
+
+function heading(doc, text) {
+  doc.moveDown(0.5).font("Helvetica-Bold").fontSize(18).fillColor(BRAND.text).text(text);
+  const y = doc.y + 4;
+  doc.moveTo(doc.page.margins.left, y).lineTo(doc.page.width - doc.page.margins.right, y).lineWidth(1).strokeColor(BRAND.rule).stroke();
+  doc.y = y + 10;
+}
+
+// New page when fewer than `height` points are left, so blocks don't split
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) doc.addPage();
+}
+
+function scoreBar(doc, { label, score, x, y, width }) {
+  doc.font("Helvetica").fontSize(11).fillColor(BRAND.text).text(label, x, y, { width: 160 });
+  doc.font("Helvetica-Bold").fillColor(scoreColorFor(score)).text(`${score}`, x + width - 30, y, { width: 30, align: "right" });
+
+  const barX = x + 170;
+  const barWidth = width - 210;
+  doc.roundedRect(barX, y + 2, barWidth, 8, 4).fillColor(BRAND.rule).fill();
+  doc.roundedRect(barX, y + 2, Math.max(8, (barWidth * score) / 100), 8, 4).fillColor(scoreColorFor(score)).fill();
+}
+
+//
+// Pages
+//
+
+function coverPage(doc, { report, businessName, generatedAt }) {
+  const { width, height } = doc.page;
+  const score = report?.score ?? null;
+
+  doc.rect(0, 0, width, height).fillColor(BRAND.navy).fill();
+
+  doc.font("Helvetica-Bold").fontSize(12).fillColor("#93c5fd").text(BRAND.company.toUpperCase(), 60, 70, { characterSpacing: 2 });
+  doc.font("Helvetica-Bold").fontSize(34).fillColor("#ffffff").text("Website Report", 60, 110);
+  doc.font("Helvetica").fontSize(16).fillColor("#cbd5e1").text(businessName || report?.domain || "", 60, 160, { width: width - 120 });
+  doc.fontSize(12).fillColor("#94a3b8").text(report?.domain || "", 60, doc.y + 6);
+
+  // Score badge
+  const cx = width / 2;
+  const cy = height / 2 + 40;
+  doc.circle(cx, cy, 90).lineWidth(10).strokeColor(scoreColorFor(score)).stroke();
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(54)
+    .fillColor("#ffffff")
+    .text(score === null ? "N/A" : String(score), cx - 90, cy - 34, { width: 180, align: "center" });
+  doc.font("Helvetica").fontSize(12).fillColor("#94a3b8").text("out of 100", cx - 90, cy + 26, { width: 180, align: "center" });
+
+  const analyzed = formatDate(report?.analyzed_at || report?.updated_at);
+  doc
+    .fontSize(10)
+    .fillColor("#94a3b8")
+    .text([analyzed && `Scanned ${analyzed}`, `Prepared ${formatDate(generatedAt)}`].filter(Boolean).join("  |  "), 60, height - 90, {
+      width: width - 120,
+      align: "center"
+    });
+}
+
+function summaryPage(doc, { report }) {
+  doc.addPage();
+  heading(doc, "Overview");
+
+  doc.font("Helvetica").fontSize(12).fillColor(BRAND.text).text(report?.summary || "Not available.", { lineGap: 3 });
+
+  const scores = report?.category_scores || {};
+  const categories = Object.keys(CATEGORIES).filter((key) => typeof scores[key] === "number");
+
+  if (categories.length) {
+    heading(doc, "Category scores");
+    const x = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    for (const key of categories) {
+      ensureSpace(doc, 24);
+      const y = doc.y;
+      scoreBar(doc, { label: CATEGORIES[key], score: scores[key], x, y, width });
+      doc.y = y + 24;
+    }
+  }
+
+  heading(doc, "Basic checks");
+  const checks = [
+    ["Title", report?.title || "Not found"],
+    ["Meta description", report?.meta_description || "Not found"],
+    ["H1 count", report?.h1_count ?? "Not found"]
+  ];
+  for (const [label, value] of checks) {
+    doc.font("Helvetica-Bold").fontSize(10).fillColor(BRAND.muted).text(label);
+    doc.font("Helvetica").fontSize(12).fillColor(BRAND.text).text(String(value)).moveDown(0.5);
+  }
+}
+
+function findingsPages(doc, { report }) {
+  doc.addPage();
+  heading(doc, "What we found");
+
+  const issues = Array.isArray(report?.issues) ? report.issues : [];
+  if (!issues.length) {
+    doc.font("Helvetica").fontSize(12).fillColor(BRAND.text).text("No major issues found.");
+    return;
+  }
+
+  // Grouped by category in the usual order, most severe first within each
+  const keys = [...Object.keys(CATEGORIES), ...new Set(issues.map((i) => i.category).filter((c) => !CATEGORIES[c]))];
+  for (const key of keys) {
+    const group = issues
+      .filter((i) => i.category === key)
+      .sort((a, b) => (SEVERITY_ORDER[a.severity] ?? 9) - (SEVERITY_ORDER[b.severity] ?? 9));
+    if (!group.length) continue;
+
+    ensureSpace(doc, 80);
+    doc.moveDown(0.5).font("Helvetica-Bold").fontSize(14).fillColor(BRAND.accent).text(CATEGORIES[key] || key);
+    doc.moveDown(0.3);
+
+    for (const issue of group) {
+      ensureSpace(doc, 60);
+      doc
+        .font("Helvetica-Bold")
+        .fontSize(9)
+        .fillColor(SEVERITY_COLORS[issue.severity] || SEVERITY_COLORS.low)
+        .text(String(issue.severity || "").toUpperCase(), { characterSpacing: 1 });
+      doc.font("Helvetica-Bold").fontSize(12).fillColor(BRAND.text).text(issue.message || "");
+      if (issue.fix) doc.font("Helvetica").fontSize(10).fillColor(BRAND.muted).text(`Fix: ${issue.fix}`, { lineGap: 2 });
+      doc.moveDown(0.6);
+    }
+  }
+}
+
+function recommendationPage(doc, { recommendation: rec, deadline }) {
+  if (!rec) return;
+
+  doc.addPage();
+  heading(doc, "Recommended package");
+
+  doc.font("Helvetica-Bold").fontSize(20).fillColor(BRAND.text).text(rec.packageName);
+  if (rec.reason) doc.moveDown(0.3).font("Helvetica").fontSize(12).fillColor(BRAND.muted).text(rec.reason, { lineGap: 3 });
+
+  // Price box
+  doc.moveDown(1);
+  const x = doc.page.margins.left;
+  const y = doc.y;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  doc.roundedRect(x, y, width, 96, 10).fillColor("#eff6ff").fill();
+
+  doc.font("Helvetica").fontSize(12).fillColor(BRAND.muted).text(`Regular price ${formatUsd(rec.price)}`, x + 18, y + 16);
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(24)
+    .fillColor(BRAND.accent)
+    .text(`${formatUsd(rec.discountedPrice)}  (${rec.discountPercent}% off)`, x + 18, y + 34);
+  doc
+    .font("Helvetica")
+    .fontSize(11)
+    .fillColor(BRAND.text)
+    .text(`Discount code: ${rec.code}${deadline ? `  |  valid until ${formatDate(deadline)}` : ""}`, x + 18, y + 70);
+  doc.y = y + 110;
+  doc.x = x;
+
+  if (rec.urgencyLine) doc.font("Helvetica-Oblique").fontSize(11).fillColor(BRAND.muted).text(rec.urgencyLine).moveDown(0.8);
+
+  if (Array.isArray(rec.bullets) && rec.bullets.length) {
+    doc.font("Helvetica-Bold").fontSize(12).fillColor(BRAND.text).text("Includes").moveDown(0.3);
+    doc.font("Helvetica").fontSize(11).list(rec.bullets, { bulletRadius: 2, lineGap: 3 });
+  }
+
+  doc.moveDown(1.5);
+  doc
+    .font("Helvetica")
+    .fontSize(11)
+    .fillColor(BRAND.text)
+    .text(`Questions? Reply to our email or visit ${BRAND.website} to book a quick review call.`);
+}
+
+// Page numbers in the footer of every page after the cover
+function footers(doc, { report }) {
+  const range = doc.bufferedPageRange();
+  for (let i = range.start + 1; i < range.start + range.count; i += 1) {
+    doc.switchToPage(i);
+    const bottom = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc
+      .font("Helvetica")
+      .fontSize(9)
+      .fillColor(BRAND.muted)
+      .text(`${BRAND.company}  |  ${report?.domain || ""}  |  Page ${i + 1} of ${range.count}`, doc.page.margins.left, doc.page.height - 40, {
+        width: doc.page.width - doc.page.margins.left - doc.page.margins.right,
+        align: "center"
+      });
+    doc.page.margins.bottom = bottom;
+  }
+}
+
+/**
+ * Resolves with the PDF as a Buffer.
+ * report: the cached report row (already evaluated).
+ * recommendation: recommendPackage() output, or null to leave out pricing.
+ * deadline: ISO time the discount ends, or null.
+ */
+export function renderReportPdf({ report, businessName, recommendation = null, deadline = null, generatedAt = new Date().toISOString() }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "LETTER",
+      margin: 60,
+      bufferPages: true,
+      info: {
+        Title: `Website Report: ${report?.domain || ""}`,
+        Author: BRAND.company,
+        Subject: businessName || report?.domain || ""
+      }
+    });
+
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    try {
+      coverPage(doc, { report, businessName, generatedAt });
+      summaryPage(doc, { report });
+      findingsPages(doc, { report });
+      recommendationPage(doc, { recommendation, deadline });
+      footers(doc, { report });
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
@@ -0,0 +1,387 @@
+// lib/rules.js (ESM)
+//
+// Rule engine that turns an audited report into the score, category
+// sub-scores and issue list. This is the only place scoring happens: the
+// server stores the result on the report row and the UI and emails render it.
+
+export const CATEGORIES = {
+  seo: "SEO",
+  mobile: "Mobile",
+  accessibility: "Accessibility",
+  security: "Security",
+  content: "Content & Conversion",
+  performance: "Performance"
+};
+
+export const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+//
+// Helpers
+//
+
+// Rules that need the detailed audit return null (not applicable) for
+// legacy rows that only carry the flat title/meta/h1 fields.
+function audit(report) {
+  return report?.audit || null;
+}
+
+function h1Count(report) {
+  const raw = report?.h1_count;
+  if (raw === null || raw === undefined || raw === "") return null;
+  const n = Number(raw);
+  return Number.isNaN(n) ? null : n;
+}
+
+//
+// Default rules
+//
+
+/**
+ * check(report) returns true when the issue is present, false when the page
+ * passes and null when the rule does not apply (missing data, no images...).
+ */
+const DEFAULT_RULES = [
+  {
+    id: "title_missing",
+    category: "seo",
+    severity: "high",
+    weight: 20,
+    message: "Missing page title (<title>)",
+    fix: "Add a unique <title> of 30–60 characters naming the business and what it offers.",
+    check: (r) => !(r?.title || "").trim()
+  },
+  {
+    id: "title_length",
+    category: "seo",
+    severity: "low",
+    weight: 4,
+    message: (r) => `Page title is ${r.audit.title_length} characters (aim for 30–60)`,
+    fix: "Rewrite the title so it fits in search results without being cut off or looking thin.",
+    check: (r) => {
+      const a = audit(r);
+      if (!a || !a.title_length) return null;
+      return a.title_length < 30 || a.title_length > 60;
+    }
+  },
+  {
+    id: "meta_missing",
+    category: "seo",
+    severity: "medium",
+    weight: 10,
+    message: "Missing meta description",
+    fix: "Write a 70–160 character meta description that sells the click from Google.",
+    check: (r) => !(r?.meta_description || "").trim()
+  },
+  {
+    id: "meta_length",
+    category: "seo",
+    severity: "low",
+    weight: 3,
+    message: (r) => `Meta description is ${r.audit.meta_description_length} characters (aim for 70–160)`,
+    fix: "Adjust the meta description length so search engines show it in full.",
+    check: (r) => {
+      const a = audit(r);
+      if (!a || !a.meta_description_length) return null;
+      return a.meta_description_length < 70 || a.meta_description_length > 160;
+    }
+  },
+  {
+    id: "h1_missing",
+    category: "seo",
+    severity: "high",
+    weight: 15,
+    message: "No H1 found (add one clear page headline)",
+    fix: "Add a single H1 near the top of the page that says what the business does.",
+    check: (r) => {
+      const n = h1Count(r);
+      return n === null ? null : n === 0;
+    }
+  },
+  {
+    id: "h1_multiple",
+    category: "seo",
+    severity: "medium",
+    weight: 8,
+    message: (r) => `Multiple H1 tags found (${h1Count(r)}). Use one main H1.`,
+    fix: "Keep one H1 for the main headline and demote the others to H2 or H3.",
+    check: (r) => {
+      const n = h1Count(r);
+      return n === null ? null : n > 1;
+    }
+  },
+  {
+    id: "noindex",
+    category: "seo",
+    severity: "high",
+    weight: 20,
+    message: "Page is blocked from search engines (noindex)",
+    fix: "Remove the noindex robots meta tag so the page can appear in Google.",
+    check: (r) => (audit(r) ? audit(r).noindex === true : null)
+  },
+  {
+    id: "canonical_missing",
+    category: "seo",
+    severity: "low",
+    weight: 4,
+    message: "No canonical URL set",
+    fix: 'Add <link rel="canonical"> pointing at the preferred version of the page.',
+    check: (r) => (audit(r) ? !audit(r).canonical : null)
+  },
+  {
+    id: "open_graph_missing",
+    category: "seo",
+    severity: "low",
+    weight: 3,
+    message: "No Open Graph title or image for social sharing",
+    fix: "Add og:title, og:description and og:image so shared links look professional.",
+    check: (r) => {
+      const og = audit(r)?.open_graph;
+      if (!og) return null;
+      return !og.title || !og.image;
+    }
+  },
+  {
+    id: "structured_data_missing",
+    category: "seo",
+    severity: "low",
+    weight: 3,
+    message: "No structured data (schema.org) found",
+    fix: "Add LocalBusiness JSON-LD with name, address, phone and hours.",
+    check: (r) => (audit(r) ? !audit(r).structured_data : null)
+  },
+  {
+    id: "viewport_missing",
+    category: "mobile",
+    severity: "high",
+    weight: 15,
+    message: "No mobile viewport tag (page will not scale on phones)",
+    fix: 'Add <meta name="viewport" content="width=device-width, initial-scale=1"> and a responsive layout.',
+    check: (r) => (audit(r) ? !audit(r).has_viewport : null)
+  },
+  {
+    id: "lang_missing",
+    category: "accessibility",
+    severity: "medium",
+    weight: 6,
+    message: "Page language is not declared",
+    fix: 'Set the lang attribute on the <html> tag, for example lang="en".',
+    check: (r) => (audit(r) ? !audit(r).lang : null)
+  },
+  {
+    id: "img_alt_missing",
+    category: "accessibility",
+    severity: "medium",
+    weight: 8,
+    message: (r) => `${r.audit.images.missing_alt} of ${r.audit.images.total} images have no alt text`,
+    fix: "Describe each meaningful image with alt text; use an empty alt for decorative ones.",
+    check: (r) => {
+      const images = audit(r)?.images;
+      if (!images || !images.total) return null;
+      return images.missing_alt > 0;
+    }
+  },
+  {
+    id: "https_missing",
+    category: "security",
+    severity: "high",
+    weight: 15,
+    message: "Site is not served over HTTPS",
+    fix: "Install an SSL certificate and redirect all http traffic to https.",
+    check: (r) => (audit(r) && typeof audit(r).https === "boolean" ? !audit(r).https : null)
+  },
+  {
+    id: "hsts_missing",
+    category: "security",
+    severity: "low",
+    weight: 3,
+    message: "No HSTS header",
+    fix: "Send a Strict-Transport-Security header so browsers always use https.",
+    check: (r) => (audit(r)?.https ? !audit(r).hsts : null)
+  },
+  {
+    id: "thin_content",
+    category: "content",
+    severity: "medium",
+    weight: 8,
+    message: (r) => `Only ${r.audit.word_count} words of content on the page`,
+    fix: "Expand the page with services, service area, proof and FAQs (250+ words).",
+    check: (r) => (audit(r) ? audit(r).word_count < 250 : null)
+  },
+  {
+    id: "contact_path_missing",
+    category: "content",
+    severity: "medium",
+    weight: 8,
+    message: "No contact form, phone or email link on the page",
+    fix: "Add a visible call to action with a click-to-call link or a short contact form.",
+    check: (r) => {
+      const a = audit(r);
+      if (!a || !a.links) return null;
+      return !a.forms && !a.links.tel && !a.links.mailto;
+    }
+  },
+  {
+    id: "favicon_missing",
+    category: "content",
+    severity: "low",
+    weight: 2,
+    message: "No favicon",
+    fix: "Add a favicon so the brand shows in browser tabs and bookmarks.",
+    check: (r) => (audit(r) ? !audit(r).favicon : null)
+  },
+  {
+    id: "slow_response",
+    category: "performance",
+    severity: "medium",
+    weight: 8,
+    message: (r) => `Home page took ${(r.audit.response_time_ms / 1000).toFixed(1)}s to load`,
+    fix: "Improve hosting, enable caching and compress assets to get under 2 seconds.",
+    check: (r) => {
+      const ms = audit(r)?.response_time_ms;
+      return typeof ms === "number" ? ms > 2000 : null;
+    }
+  },
+  {
+    id: "heavy_page",
+    category: "performance",
+    severity: "low",
+    weight: 4,
+    message: "Very large HTML document",
+    fix: "Trim inline scripts, styles and markup so the HTML stays under 500 KB.",
+    check: (r) => {
+      const a = audit(r);
+      if (!a || typeof a.html_bytes !== "number") return null;
+      return a.truncated || a.html_bytes > 500 * 1024;
+    }
+  },
+  {
+    id: "redirect_chain",
+    category: "performance",
+    severity: "low",
+    weight: 3,
+    message: (r) => `${r.audit.redirects.length} redirects before the page loads`,
+    fix: "Point links and DNS straight at the final URL to avoid redirect hops.",
+    check: (r) => (Array.isArray(audit(r)?.redirects) ? audit(r).redirects.length > 2 : null)
+  }
+];
+
+const rules = [...DEFAULT_RULES];
+
+//
+// Registry
+//
+
+/**
+ * Adds or replaces a rule. Rules are matched by id so a plugin can override
+ * a default without touching this file.
+ */
+export function registerRule(rule) {
+  if (!rule?.id || typeof rule.check !== "function") {
+    throw new Error("A rule needs an id and a check function.");
+  }
+  if (!CATEGORIES[rule.category]) throw new Error(`Unknown rule category: ${rule.category}`);
+  if (SEVERITY_ORDER[rule.severity] === undefined) throw new Error(`Unknown rule severity: ${rule.severity}`);
+
+  const weight = Number(rule.weight);
+  if (!Number.isFinite(weight) || weight <= 0) throw new Error(`Rule ${rule.id} needs a positive weight.`);
+
+  const normalized = { ...rule, weight };
+  const idx = rules.findIndex((r) => r.id === rule.id);
+  if (idx >= 0) rules[idx] = normalized;
+  else rules.push(normalized);
+}
+
+export function listRules() {
+  return rules.map(({ id, category, severity, weight, message, fix }) => ({
+    id,
+    category,
+    severity,
+    weight,
+    message: typeof message === "function" ? null : message,
+    fix
+  }));
+}
+
+//
+// Evaluation
+//
+
+function buildSummary(score, issues) {
+  if (!issues.length) {
+    return "Strong on-page foundation. The basics are in place, so the next wins are content, speed and conversion polish.";
+  }
+
+  const high = issues.filter((i) => i.severity === "high").length;
+  const lead =
+    score >= 85
+      ? "Strong site with a few easy wins"
+      : score >= 70
+        ? "Solid foundation with some gaps"
+        : score >= 50
+          ? "Several fundamentals need attention"
+          : "Key basics are missing and likely costing you leads";
+
+  const top = issues
+    .slice(0, 3)
+    .map((i) => i.message.charAt(0).toLowerCase() + i.message.slice(1).replace(/\.$/, ""))
+    .join("; ");
+
+  const highNote = high ? ` ${high} high priority issue${high === 1 ? "" : "s"} found.` : "";
+  return `${lead}: ${top}.${highNote}`;
+}
+
+/**
+ * Runs every rule against the report. Returns the fields stored on the
+ * report row: score, summary, issues and category_scores.
+ */
+export function evaluateReport(report, options = {}) {
+  const activeRules = options.rules || rules;
+  const issues = [];
+  const totals = {};
+
+  for (const rule of activeRules) {
+    let outcome;
+    try {
+      outcome = rule.check(report);
+    } catch (err) {
+      console.error(`Rule ${rule.id} failed:`, err?.message || err);
+      outcome = null;
+    }
+    if (outcome === null || outcome === undefined) continue;
+
+    const bucket = (totals[rule.category] ||= { possible: 0, lost: 0 });
+    bucket.possible += rule.weight;
+
+    if (outcome) {
+      bucket.lost += rule.weight;
+      issues.push({
+        id: rule.id,
+        category: rule.category,
+        severity: rule.severity,
+        weight: rule.weight,
+        message: typeof rule.message === "function" ? rule.message(report) : rule.message,
+        fix: rule.fix
+      });
+    }
+  }
+
+  issues.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] || b.weight - a.weight);
+
+  let possible = 0;
+  let lost = 0;
+  const categoryScores = {};
+  for (const [category, bucket] of Object.entries(totals)) {
+    possible += bucket.possible;
+    lost += bucket.lost;
+    categoryScores[category] = Math.round(((bucket.possible - bucket.lost) / bucket.possible) * 100);
+  }
+
+  const score = possible ? Math.round(((possible - lost) / possible) * 100) : null;
+
+  return {
+    score,
+    summary: score === null ? "Not enough data to score this site." : buildSummary(score, issues),
+    issues,
+    category_scores: categoryScores
+  };
+}
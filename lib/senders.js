@@ -0,0 +1,58 @@
+// lib/senders.js (ESM)
+//
+// Who an email says it's from: company name, postal address, website and
+// reply-to, per sending address. CAN-SPAM requires a valid physical postal
+// address in every commercial email, so each profile needs one before going
+// live. Profiles come from config/senders.json (or SENDER_CONFIG_PATH).
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_SENDERS_PATH = path.join(__dirname, "..", "config", "senders.json");
+
+let config = null;
+
+// "Beacon AI <support@example.com>" -> "support@example.com"
+function senderAddress(from) {
+  const value = String(from || "").trim();
+  return (/<([^>]+)>/.exec(value)?.[1] || value).toLowerCase();
+}
+
+function loadConfig() {
+  if (config) return config;
+
+  const file = (process.env.SENDER_CONFIG_PATH || "").trim() || DEFAULT_SENDERS_PATH;
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+
+  config = {
+    default: raw.default || {},
+    senders: Object.fromEntries(Object.entries(raw.senders || {}).map(([key, value]) => [key.toLowerCase(), value]))
+  };
+  return config;
+}
+
+/**
+ * Profile for a From header, falling back to the default for anything the
+ * sender entry leaves out.
+ */
+export function senderProfile(from) {
+  const { default: base, senders } = loadConfig();
+  const profile = { ...base, ...(senders[senderAddress(from)] || {}) };
+
+  return {
+    company: profile.company || "",
+    address: profile.address || "",
+    website: profile.website || "",
+    replyTo: profile.replyTo || null
+  };
+}
+
+// Startup check so a missing postal address shows up in the logs, not in a complaint
+export function checkSenderProfile(from) {
+  if (!from) return;
+  if (!senderProfile(from).address) {
+    console.warn(`No postal address configured for sender ${senderAddress(from)}. Set one in config/senders.json.`);
+  }
+}
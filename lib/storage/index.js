@@ -0,0 +1,57 @@
+// lib/storage/index.js (ESM)
+//
+// Reports, leads and events are read and written through repositories so
+// the backend can run on Supabase or entirely in memory (STORAGE_DRIVER),
+// e.g. to work offline or run integration tests against the real routes.
+//
+// Repository methods are async, resolve with plain rows (or null when a
+// lookup finds nothing) and throw an Error when the backend fails.
+//
+//   reports.findByUrlHash(urlHash)          reports.findById(id)
+//   reports.insert(report) -> row           reports.update(urlHash, patch) -> row | null
+//
+//   leads.insertIfNew(row) -> row | null    null when (email, domain) has a lead
+//   leads.findById(id)
+//   leads.findByContact(email, domain)      exact match (the oldest of several)
+//   leads.listByContact(email, domain)      any casing, with or without www.
+//   leads.remove(ids)
+//   leads.update(id, patch) -> row | null
+//   leads.updateByEmail(email, patch, { unverifiedOnly }) -> rows
+//   leads.listByEmail(email, { verified, orderBy, ascending, limit })
+//   leads.search({ q, status, tier, domain, minScore, maxScore, from, to, engaged },
+//                { sort, ascending, offset, limit }) -> { rows, total }
+//   leads.countByStatus(status)
+//   leads.listOpenFollowups({ since, verifiedOnly, limit })
+//     last scanned since `since`, newest first
+//   leads.listScannedSince({ since, limit })
+//     same order, any follow-up state
+//
+//   events.insert(row)
+//   events.list({ email, urlHash, typePrefix, since, webhookId, limit })
+//     newest first
+//
+// Tables without a repository (staff, API keys, audit log, suppressions,
+// email sends, scan jobs, report history, notes, integration deliveries,
+// the package catalog) use `db`: the Supabase client, or the in-memory
+// stand-in for it.
+
+import { createClient } from "@supabase/supabase-js";
+import { createMemoryStorage } from "./memory.js";
+import { createSupabaseRepositories } from "./supabase.js";
+
+export const STORAGE_DRIVERS = ["supabase", "memory"];
+
+/**
+ * { driver, db, reports, leads, events }. supabaseUrl and supabaseKey are
+ * only needed for the supabase driver.
+ */
+export function createStorage({ driver = "supabase", supabaseUrl, supabaseKey } = {}) {
+  if (driver === "memory") return { driver, ...createMemoryStorage() };
+
+  if (driver === "supabase") {
+    const supabase = createClient(supabaseUrl, supabaseKey);
+    return { driver, db: supabase, ...createSupabaseRepositories(supabase) };
+  }
+
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}". Use one of: ${STORAGE_DRIVERS.join(", ")}.`);
+}
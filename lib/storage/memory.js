@@ -0,0 +1,461 @@
+// lib/storage/memory.js (ESM)
+//
+// In-memory storage for local development and integration tests: nothing is
+// persisted and everything is lost on restart. Rows get an id and created_at
+// on insert like the Supabase tables' defaults.
+//
+// Besides the repositories this provides `db`, a stand-in for the Supabase
+// client covering the query builder calls the rest of the backend makes
+// (select/insert/update/upsert/delete, eq/neq/is/not/in, gt(e)/lt(e),
+// (i)like, order, limit, range, single/maybeSingle). Anything else throws.
+
+import crypto from "crypto";
+import { lastScanAt, normalizeLeadDomain, normalizeLeadEmail } from "../leads.js";
+import { API_KEYS_TABLE, EVENTS_TABLE, LEADS_TABLE, REPORTS_TABLE, STAFF_TABLE, SUPPRESSIONS_TABLE } from "../tables.js";
+
+// Unique indexes the code relies on (a duplicate staff email is a 409);
+// an array is a unique index over several columns
+const UNIQUE_COLUMNS = {
+  [STAFF_TABLE]: ["email"],
+  [API_KEYS_TABLE]: ["key_hash"],
+  [SUPPRESSIONS_TABLE]: ["email"],
+  [LEADS_TABLE]: [["email", "domain"]]
+};
+
+//
+// Helpers
+//
+
+function clone(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
+
+// "meta->>webhook_id" reads into JSON columns like PostgREST does
+function valueAt(row, column) {
+  const [head, ...path] = String(column).split(/->>?/);
+  return path.reduce((value, key) => (value && typeof value === "object" ? value[key] : undefined), row?.[head]) ?? null;
+}
+
+function sameValue(a, b) {
+  if (a === null || b === null) return a === b;
+  return String(a) === String(b);
+}
+
+// Numbers numerically, everything else (ISO dates included) as strings
+function compareValues(a, b) {
+  if (typeof a === "number" && typeof b === "number") return a - b;
+  return String(a).localeCompare(String(b));
+}
+
+function likeToRegExp(pattern, flags) {
+  const source = String(pattern)
+    .split("")
+    .map((ch) => (ch === "%" || ch === "*" ? ".*" : ch === "_" ? "." : ch.replace(/[.+?^${}()|[\]\\]/g, "\\$&")))
+    .join("");
+  return new RegExp(`^${source}$`, flags);
+}
+
+// "(done,failed)" or an array
+function listValues(value) {
+  if (Array.isArray(value)) return value;
+  return String(value)
+    .replace(/^\(|\)$/g, "")
+    .split(",")
+    .map((v) => v.trim());
+}
+
+function predicate(op, column, value) {
+  const read = (row) => valueAt(row, column);
+
+  switch (op) {
+    case "eq":
+      return (row) => sameValue(read(row), value);
+    case "neq":
+      return (row) => !sameValue(read(row), value);
+    case "is":
+      return (row) => read(row) === value;
+    case "in":
+      return (row) => listValues(value).some((v) => sameValue(read(row), v));
+    case "gt":
+      return (row) => read(row) !== null && compareValues(read(row), value) > 0;
+    case "gte":
+      return (row) => read(row) !== null && compareValues(read(row), value) >= 0;
+    case "lt":
+      return (row) => read(row) !== null && compareValues(read(row), value) < 0;
+    case "lte":
+      return (row) => read(row) !== null && compareValues(read(row), value) <= 0;
+    case "like":
+      return (row) => read(row) !== null && likeToRegExp(value).test(String(read(row)));
+    case "ilike":
+      return (row) => read(row) !== null && likeToRegExp(value, "i").test(String(read(row)));
+    default:
+      throw new Error(`Memory storage does not support the "${op}" filter.`);
+  }
+}
+
+// Nulls last, the way the admin lists ask for them
+function sortRows(rows, orders) {
+  return [...rows].sort((a, b) => {
+    for (const { column, ascending, nullsFirst } of orders) {
+      const left = valueAt(a, column);
+      const right = valueAt(b, column);
+      if (left === right) continue;
+      if (left === null) return nullsFirst ? -1 : 1;
+      if (right === null) return nullsFirst ? 1 : -1;
+      const diff = compareValues(left, right);
+      if (diff) return ascending ? diff : -diff;
+    }
+    return 0;
+  });
+}
+
+function project(row, columns) {
+  if (!columns || columns.trim() === "*") return clone(row);
+  return Object.fromEntries(
+    columns
+      .split(",")
+      .map((c) => c.trim())
+      .filter(Boolean)
+      .map((c) => [c, clone(row[c] ?? null)])
+  );
+}
+
+function dbError(message, code = null) {
+  return { message, code };
+}
+
+//
+// Tables
+//
+
+function createTables() {
+  const tables = new Map();
+
+  function rows(name) {
+    if (!tables.has(name)) tables.set(name, []);
+    return tables.get(name);
+  }
+
+  function duplicateOf(name, row, ignore = null) {
+    for (const index of UNIQUE_COLUMNS[name] || []) {
+      const columns = [].concat(index);
+      if (columns.some((c) => row[c] === undefined || row[c] === null)) continue;
+      const existing = rows(name).find((r) => r !== ignore && columns.every((c) => sameValue(r[c], row[c])));
+      if (existing) return columns.join(", ");
+    }
+    return null;
+  }
+
+  // Returns the stored row, or throws a Postgres-style unique violation
+  function insert(name, values) {
+    const row = { id: crypto.randomUUID(), created_at: new Date().toISOString(), ...clone(values) };
+    const column = duplicateOf(name, row);
+    if (column) throw Object.assign(new Error(`duplicate key value violates unique constraint on ${name}.${column}`), { code: "23505" });
+    rows(name).push(row);
+    return row;
+  }
+
+  return { rows, insert, duplicateOf };
+}
+
+//
+// Supabase client stand-in
+//
+
+function createQuery(tables, name) {
+  let action = "select";
+  let values = null;
+  let upsertOptions = {};
+  let columns = "*";
+  let returning = false;
+  let countMode = null;
+  let head = false;
+  let singleMode = null;
+  let offset = 0;
+  let limit = null;
+  const filters = [];
+  const orders = [];
+
+  function run() {
+    const table = tables.rows(name);
+    const matches = () => table.filter((row) => filters.every((f) => f(row)));
+    let affected;
+
+    if (action === "insert") {
+      affected = (Array.isArray(values) ? values : [values]).map((v) => tables.insert(name, v));
+    } else if (action === "upsert") {
+      const keys = String(upsertOptions.onConflict || "id").split(",").map((k) => k.trim());
+      affected = [];
+      for (const v of Array.isArray(values) ? values : [values]) {
+        const existing = table.find((row) => keys.every((k) => v[k] !== undefined && sameValue(row[k], v[k])));
+        if (!existing) affected.push(tables.insert(name, v));
+        else if (!upsertOptions.ignoreDuplicates) affected.push(Object.assign(existing, clone(v)));
+      }
+    } else if (action === "update") {
+      affected = matches();
+      for (const row of affected) {
+        const column = tables.duplicateOf(name, { ...row, ...values }, row);
+        if (column) throw Object.assign(new Error(`duplicate key value violates unique constraint on ${name}.${column}`), { code: "23505" });
+      }
+      for (const row of affected) Object.assign(row, clone(values));
+    } else if (action === "delete") {
+      affected = matches();
+      for (const row of affected) table.splice(table.indexOf(row), 1);
+    } else {
+      affected = matches();
+    }
+
+    if (action !== "select" && !returning) return { data: null, error: null, count: null };
+
+    const sorted = sortRows(affected, orders);
+    const count = countMode ? sorted.length : null;
+    const page = sorted.slice(offset, limit === null ? undefined : offset + limit);
+    const data = head ? null : page.map((row) => project(row, columns));
+
+    if (singleMode && !head) {
+      if (data.length > 1 || (singleMode === "single" && !data.length)) {
+        return { data: null, error: dbError("JSON object requested, multiple (or no) rows returned", "PGRST116"), count };
+      }
+      return { data: data[0] ?? null, error: null, count };
+    }
+    return { data, error: null, count };
+  }
+
+  const query = {
+    select(cols = "*", options = {}) {
+      columns = cols;
+      returning = true;
+      countMode = options.count || null;
+      head = Boolean(options.head);
+      return query;
+    },
+    insert(rows) {
+      action = "insert";
+      values = rows;
+      return query;
+    },
+    upsert(rows, options = {}) {
+      action = "upsert";
+      values = rows;
+      upsertOptions = options;
+      return query;
+    },
+    update(patch) {
+      action = "update";
+      values = patch;
+      return query;
+    },
+    delete() {
+      action = "delete";
+      return query;
+    },
+    filter(column, op, value) {
+      filters.push(predicate(op, column, value));
+      return query;
+    },
+    not(column, op, value) {
+      const test = predicate(op, column, value);
+      filters.push((row) => !test(row));
+      return query;
+    },
+    order(column, { ascending = true, nullsFirst = !ascending } = {}) {
+      orders.push({ column, ascending, nullsFirst });
+      return query;
+    },
+    limit(n) {
+      limit = n;
+      return query;
+    },
+    range(from, to) {
+      offset = from;
+      limit = to - from + 1;
+      return query;
+    },
+    single() {
+      singleMode = "single";
+      return query;
+    },
+    maybeSingle() {
+      singleMode = "maybeSingle";
+      return query;
+    },
+    // Awaiting the builder runs it, like supabase-js; errors come back as
+    // { error } rather than a rejection
+    then(resolve, reject) {
+      return Promise.resolve()
+        .then(() => {
+          try {
+            return run();
+          } catch (err) {
+            return { data: null, error: dbError(err.message, err.code || null), count: null };
+          }
+        })
+        .then(resolve, reject);
+    }
+  };
+
+  for (const op of ["eq", "neq", "is", "in", "gt", "gte", "lt", "lte", "like", "ilike"]) {
+    query[op] = (column, value) => query.filter(column, op, value);
+  }
+  query.or = () => {
+    throw new Error("Memory storage does not support or() filters.");
+  };
+
+  return query;
+}
+
+function createMemoryClient(tables) {
+  return { from: (name) => createQuery(tables, name) };
+}
+
+//
+// Repositories
+//
+
+function createReportRepository(tables) {
+  const table = () => tables.rows(REPORTS_TABLE);
+
+  return {
+    async findByUrlHash(urlHash) {
+      return clone(table().find((r) => r.url_hash === urlHash) ?? null);
+    },
+
+    async findById(id) {
+      return clone(table().find((r) => sameValue(r.id, id)) ?? null);
+    },
+
+    async insert(report) {
+      return clone(tables.insert(REPORTS_TABLE, report));
+    },
+
+    async update(urlHash, patch) {
+      const matched = table().filter((r) => r.url_hash === urlHash);
+      for (const row of matched) Object.assign(row, clone(patch));
+      return clone(matched[0] ?? null);
+    }
+  };
+}
+
+function createLeadRepository(tables) {
+  const table = () => tables.rows(LEADS_TABLE);
+
+  const isVerified = (lead) => lead.verified_at !== null && lead.verified_at !== undefined;
+
+  return {
+    async insertIfNew(row) {
+      if (tables.duplicateOf(LEADS_TABLE, row)) return null;
+      return clone(tables.insert(LEADS_TABLE, row));
+    },
+
+    async findById(id) {
+      return clone(table().find((l) => sameValue(l.id, id)) ?? null);
+    },
+
+    async update(id, patch) {
+      const lead = table().find((l) => sameValue(l.id, id));
+      if (!lead) return null;
+      Object.assign(lead, clone(patch));
+      return clone(lead);
+    },
+
+    async findByContact(email, domain) {
+      const matches = table().filter((l) => l.email === email && l.domain === domain);
+      return clone(sortRows(matches, [{ column: "created_at", ascending: true }])[0] ?? null);
+    },
+
+    async listByContact(email, domain) {
+      const matches = table().filter(
+        (l) => normalizeLeadEmail(l.email) === normalizeLeadEmail(email) && normalizeLeadDomain(l.domain) === normalizeLeadDomain(domain)
+      );
+      return clone(sortRows(matches, [{ column: "created_at", ascending: true }]));
+    },
+
+    async remove(ids) {
+      const doomed = new Set(ids.map(String));
+      const rows = table();
+      for (let i = rows.length - 1; i >= 0; i -= 1) if (doomed.has(String(rows[i].id))) rows.splice(i, 1);
+    },
+
+    async updateByEmail(email, patch, { unverifiedOnly = false } = {}) {
+      const matches = table().filter((l) => l.email === email && !(unverifiedOnly && isVerified(l)));
+      for (const lead of matches) Object.assign(lead, clone(patch));
+      return clone(matches);
+    },
+
+    async listByEmail(email, { verified, orderBy = "created_at", ascending = false, limit = 1000 } = {}) {
+      const matches = table().filter((l) => l.email === email && (verified === undefined || isVerified(l) === verified));
+      return clone(sortRows(matches, [{ column: orderBy, ascending, nullsFirst: false }]).slice(0, limit));
+    },
+
+    async search(filters = {}, { sort = "created_at", ascending = false, offset = 0, limit = 25 } = {}) {
+      const { q, status, tier, domain, minScore, maxScore, from, to, engaged } = filters;
+      const contains = (value, term) => String(value ?? "").toLowerCase().includes(String(term).toLowerCase());
+      const hasNumber = (v) => v !== null && v !== undefined;
+
+      const matches = table().filter(
+        (l) =>
+          (!q || ["email", "business_name", "domain"].some((c) => contains(l[c], q))) &&
+          (!status || l.status === status) &&
+          (!tier || l.recommended_tier === tier) &&
+          (!domain || contains(l.domain, domain)) &&
+          (!hasNumber(minScore) || (hasNumber(l.score) && l.score >= minScore)) &&
+          (!hasNumber(maxScore) || (hasNumber(l.score) && l.score <= maxScore)) &&
+          (!from || l.created_at >= from) &&
+          (!to || l.created_at <= to) &&
+          (typeof engaged !== "boolean" || (Number(l.engagement_score) > 0) === engaged)
+      );
+
+      const rows = sortRows(matches, [{ column: sort, ascending, nullsFirst: false }]).slice(offset, offset + limit);
+      return { rows: clone(rows), total: matches.length };
+    },
+
+    async countByStatus(status) {
+      return table().filter((l) => l.status === status).length;
+    },
+
+    async listOpenFollowups({ since, verifiedOnly = false, limit = 500 }) {
+      const matches = table().filter(
+        (l) => lastScanAt(l) >= since && (l.followups_stopped_at ?? null) === null && (!verifiedOnly || isVerified(l))
+      );
+      return clone(matches.sort((a, b) => String(lastScanAt(b)).localeCompare(String(lastScanAt(a)))).slice(0, limit));
+    },
+
+    async listScannedSince({ since, limit = 1000 }) {
+      const matches = table().filter((l) => lastScanAt(l) >= since);
+      return clone(matches.sort((a, b) => String(lastScanAt(b)).localeCompare(String(lastScanAt(a)))).slice(0, limit));
+    }
+  };
+}
+
+function createEventRepository(tables) {
+  const table = () => tables.rows(EVENTS_TABLE);
+
+  return {
+    async insert(row) {
+      tables.insert(EVENTS_TABLE, row);
+    },
+
+    async list({ email, urlHash, typePrefix, since, webhookId, limit = 200 } = {}) {
+      const matches = table().filter(
+        (e) =>
+          (!email || e.email === email) &&
+          (!urlHash || e.url_hash === urlHash) &&
+          (!typePrefix || String(e.event_type).startsWith(typePrefix)) &&
+          (!since || e.created_at >= since) &&
+          (!webhookId || e.meta?.webhook_id === webhookId)
+      );
+      return clone(sortRows(matches, [{ column: "created_at", ascending: false }]).slice(0, limit));
+    }
+  };
+}
+
+export function createMemoryStorage() {
+  const tables = createTables();
+
+  return {
+    db: createMemoryClient(tables),
+    reports: createReportRepository(tables),
+    leads: createLeadRepository(tables),
+    events: createEventRepository(tables)
+  };
+}
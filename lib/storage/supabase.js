@@ -0,0 +1,170 @@
+// lib/storage/supabase.js (ESM)
+//
+// Report, lead and event repositories backed by Supabase (PostgREST).
+
+import { normalizeLeadDomain } from "../leads.js";
+import { EVENTS_TABLE, LEADS_TABLE, REPORTS_TABLE } from "../tables.js";
+
+function unwrap({ data, error }) {
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+// Exact match through ilike: _ and % are common in addresses
+function likeLiteral(value) {
+  return String(value).replace(/[\\%_]/g, "\\$&");
+}
+
+function createReportRepository(supabase) {
+  return {
+    async findByUrlHash(urlHash) {
+      return unwrap(await supabase.from(REPORTS_TABLE).select("*").eq("url_hash", urlHash).maybeSingle());
+    },
+
+    async findById(id) {
+      return unwrap(await supabase.from(REPORTS_TABLE).select("*").eq("id", id).maybeSingle());
+    },
+
+    async insert(report) {
+      return unwrap(await supabase.from(REPORTS_TABLE).insert(report).select("*").single());
+    },
+
+    async update(urlHash, patch) {
+      return unwrap(await supabase.from(REPORTS_TABLE).update(patch).eq("url_hash", urlHash).select("*").maybeSingle());
+    }
+  };
+}
+
+function createLeadRepository(supabase) {
+  return {
+    // One statement, so two scans racing for the same contact can't both
+    // insert; the loser gets null (unique index on email, domain)
+    async insertIfNew(row) {
+      return unwrap(
+        await supabase.from(LEADS_TABLE).upsert(row, { onConflict: "email,domain", ignoreDuplicates: true }).select("*").maybeSingle()
+      );
+    },
+
+    async findById(id) {
+      return unwrap(await supabase.from(LEADS_TABLE).select("*").eq("id", id).maybeSingle());
+    },
+
+    async update(id, patch) {
+      return unwrap(await supabase.from(LEADS_TABLE).update(patch).eq("id", id).select("*").maybeSingle());
+    },
+
+    async findByContact(email, domain) {
+      const { data, error } = await supabase
+        .from(LEADS_TABLE)
+        .select("*")
+        .eq("email", email)
+        .eq("domain", domain)
+        .order("created_at", { ascending: true })
+        .limit(1);
+
+      if (error) throw new Error(error.message);
+      return data?.[0] ?? null;
+    },
+
+    async listByContact(email, domain) {
+      const bare = normalizeLeadDomain(domain);
+      const { data, error } = await supabase
+        .from(LEADS_TABLE)
+        .select("*")
+        .ilike("email", likeLiteral(String(email).trim()))
+        .in("domain", [bare, `www.${bare}`])
+        .order("created_at", { ascending: true });
+
+      if (error) throw new Error(error.message);
+      return data || [];
+    },
+
+    async remove(ids) {
+      if (!ids.length) return;
+      unwrap(await supabase.from(LEADS_TABLE).delete().in("id", ids));
+    },
+
+    async updateByEmail(email, patch, { unverifiedOnly = false } = {}) {
+      let query = supabase.from(LEADS_TABLE).update(patch).eq("email", email);
+      if (unverifiedOnly) query = query.is("verified_at", null);
+      return unwrap(await query.select("*")) || [];
+    },
+
+    async listByEmail(email, { verified, orderBy = "created_at", ascending = false, limit = 1000 } = {}) {
+      let query = supabase.from(LEADS_TABLE).select("*").eq("email", email);
+      if (verified === true) query = query.not("verified_at", "is", null);
+      if (verified === false) query = query.is("verified_at", null);
+      return unwrap(await query.order(orderBy, { ascending }).limit(limit)) || [];
+    },
+
+    // q must already be free of PostgREST filter syntax (commas, parens, *)
+    async search(filters = {}, { sort = "created_at", ascending = false, offset = 0, limit = 25 } = {}) {
+      let query = supabase.from(LEADS_TABLE).select("*", { count: "exact" });
+
+      const { q, status, tier, domain, minScore, maxScore, from, to, engaged } = filters;
+      if (q) query = query.or(`email.ilike.*${q}*,business_name.ilike.*${q}*,domain.ilike.*${q}*`);
+      if (status) query = query.eq("status", status);
+      if (tier) query = query.eq("recommended_tier", tier);
+      if (domain) query = query.ilike("domain", `%${domain}%`);
+      if (minScore !== null && minScore !== undefined) query = query.gte("score", minScore);
+      if (maxScore !== null && maxScore !== undefined) query = query.lte("score", maxScore);
+      if (from) query = query.gte("created_at", from);
+      if (to) query = query.lte("created_at", to);
+      if (engaged === true) query = query.gt("engagement_score", 0);
+      if (engaged === false) query = query.or("engagement_score.is.null,engagement_score.lte.0");
+
+      const { data, error, count } = await query.order(sort, { ascending, nullsFirst: false }).range(offset, offset + limit - 1);
+      if (error) throw new Error(error.message);
+      return { rows: data || [], total: count ?? 0 };
+    },
+
+    async countByStatus(status) {
+      const { count, error } = await supabase.from(LEADS_TABLE).select("id", { count: "exact", head: true }).eq("status", status);
+      if (error) throw new Error(error.message);
+      return count ?? 0;
+    },
+
+    async listOpenFollowups({ since, verifiedOnly = false, limit = 500 }) {
+      let query = supabase
+        .from(LEADS_TABLE)
+        .select("*")
+        .gte("last_seen_at", since)
+        .is("followups_stopped_at", null)
+        .order("last_seen_at", { ascending: false })
+        .limit(limit);
+
+      if (verifiedOnly) query = query.not("verified_at", "is", null);
+      return unwrap(await query) || [];
+    },
+
+    async listScannedSince({ since, limit = 1000 }) {
+      return unwrap(await supabase.from(LEADS_TABLE).select("*").gte("last_seen_at", since).order("last_seen_at", { ascending: false }).limit(limit)) || [];
+    }
+  };
+}
+
+function createEventRepository(supabase) {
+  return {
+    async insert(row) {
+      unwrap(await supabase.from(EVENTS_TABLE).insert(row));
+    },
+
+    async list({ email, urlHash, typePrefix, since, webhookId, limit = 200 } = {}) {
+      let query = supabase.from(EVENTS_TABLE).select("*");
+      if (email) query = query.eq("email", email);
+      if (urlHash) query = query.eq("url_hash", urlHash);
+      if (typePrefix) query = query.like("event_type", `${typePrefix}%`);
+      if (since) query = query.gte("created_at", since);
+      if (webhookId) query = query.eq("meta->>webhook_id", webhookId);
+      return unwrap(await query.order("created_at", { ascending: false }).limit(limit)) || [];
+    }
+  };
+}
+
+export function createSupabaseRepositories(supabase) {
+  return {
+    reports: createReportRepository(supabase),
+    leads: createLeadRepository(supabase),
+    events: createEventRepository(supabase)
+  };
+}
@@ -0,0 +1,57 @@
+// lib/suppression.js (ESM)
+//
+// Addresses we must not email again: unsubscribes, and later hard bounces
+// and complaints. Every send checks this list first.
+
+import { SUPPRESSIONS_TABLE } from "./tables.js";
+
+function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+export function createSuppressionList({ supabase }) {
+  // Fails closed: if the lookup errors we'd rather skip an email than send
+  // one to someone who opted out
+  async function isSuppressed(email) {
+    const address = normalizeEmail(email);
+    if (!address) return true;
+
+    const { data, error } = await supabase.from(SUPPRESSIONS_TABLE).select("email").eq("email", address).maybeSingle();
+
+    if (error) {
+      console.error("Suppression lookup failed:", error.message);
+      return true;
+    }
+    return Boolean(data);
+  }
+
+  // The suppressed addresses among many (bulk imports), in chunks that keep
+  // the query string short. Throws if a lookup fails.
+  async function suppressedAmong(emails) {
+    const addresses = [...new Set(emails.map(normalizeEmail).filter(Boolean))];
+    const suppressed = new Set();
+
+    for (let i = 0; i < addresses.length; i += 200) {
+      const { data, error } = await supabase.from(SUPPRESSIONS_TABLE).select("email").in("email", addresses.slice(i, i + 200));
+      if (error) throw new Error(error.message);
+      for (const row of data || []) suppressed.add(row.email);
+    }
+
+    return suppressed;
+  }
+
+  // reason: "unsubscribe" | "bounce" | "complaint" | "manual"
+  async function suppress(email, { reason, source = null, meta = null } = {}) {
+    const address = normalizeEmail(email);
+    if (!address) return false;
+
+    const { error } = await supabase
+      .from(SUPPRESSIONS_TABLE)
+      .upsert({ email: address, reason, source, meta }, { onConflict: "email", ignoreDuplicates: true });
+
+    if (error) throw new Error(error.message);
+    return true;
+  }
+
+  return { isSuppressed, suppressedAmong, suppress };
+}
@@ -0,0 +1,35 @@
+// lib/tables.js (ESM)
+//
+// Supabase table names shared by server.js and the route modules.
+
+export const REPORTS_TABLE = "beacon_ai";
+export const REPORT_HISTORY_TABLE = "beacon_ai_report_history";
+export const SCAN_JOBS_TABLE = "beacon_ai_scan_jobs";
+export const LEADS_TABLE = "beacon_ai_leads";
+export const LEAD_NOTES_TABLE = "beacon_ai_lead_notes";
+export const PROSPECTS_TABLE = "beacon_ai_prospects";
+export const EVENTS_TABLE = "beacon_ai_events";
+export const STAFF_TABLE = "beacon_ai_staff";
+export const API_KEYS_TABLE = "beacon_ai_api_keys";
+export const AUDIT_LOG_TABLE = "beacon_ai_audit_log";
+export const SUPPRESSIONS_TABLE = "beacon_ai_suppressions";
+export const EMAIL_SENDS_TABLE = "beacon_ai_email_sends";
+export const INTEGRATION_DELIVERIES_TABLE = "beacon_ai_integration_deliveries";
+export const SCHEMA_MIGRATIONS_TABLE = "beacon_ai_schema_migrations";
+
+// Every table the code reads or writes; the startup check expects them all
+export const APP_TABLES = [
+  REPORTS_TABLE,
+  REPORT_HISTORY_TABLE,
+  SCAN_JOBS_TABLE,
+  LEADS_TABLE,
+  LEAD_NOTES_TABLE,
+  PROSPECTS_TABLE,
+  EVENTS_TABLE,
+  STAFF_TABLE,
+  API_KEYS_TABLE,
+  AUDIT_LOG_TABLE,
+  SUPPRESSIONS_TABLE,
+  EMAIL_SENDS_TABLE,
+  INTEGRATION_DELIVERIES_TABLE
+];
@@ -0,0 +1,53 @@
+// lib/tokens.js (ESM)
+//
+// HMAC signed tokens for links we put in emails. Each token is bound to a
+// purpose, so a token minted for one link can't be replayed against another
+// route that happens to share the secret.
+
+import crypto from "crypto";
+
+function sign(body, secret) {
+  return crypto.createHmac("sha256", secret).update(body).digest("base64url");
+}
+
+/**
+ * "<base64url json>.<hmac>". ttlHours of null means the token never expires.
+ */
+export function signToken(purpose, payload, secret, ttlHours = null) {
+  if (!secret) throw new Error("Token secret is not configured.");
+
+  const claims = { ...payload, p: purpose };
+  if (ttlHours) claims.exp = Date.now() + ttlHours * 60 * 60 * 1000;
+
+  const body = Buffer.from(JSON.stringify(claims)).toString("base64url");
+  return `${body}.${sign(body, secret)}`;
+}
+
+/**
+ * Resolves the payload, or { error: "invalid" | "expired" } so callers can
+ * tell a tampered link from one that simply aged out.
+ */
+export function verifyToken(purpose, token, secret) {
+  const [body, sig] = String(token || "").split(".");
+  if (!secret || !body || !sig) return { error: "invalid" };
+
+  // Compare bytes, not characters: a non-ASCII signature of the right
+  // length would make timingSafeEqual throw
+  const given = Buffer.from(sig);
+  const expected = Buffer.from(sign(body, secret));
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return { error: "invalid" };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+  } catch {
+    return { error: "invalid" };
+  }
+
+  if (claims?.p !== purpose) return { error: "invalid" };
+  if (claims.exp && !(claims.exp > Date.now())) return { error: "expired", payload: claims };
+
+  return { payload: claims };
+}
@@ -0,0 +1,115 @@
+// lib/verification.js (ESM)
+//
+// Optional human/bot check in front of scan requests. Either a CAPTCHA token
+// verified with the provider, or a small proof-of-work the browser solves
+// before submitting: find a nonce so sha256(challenge + nonce) starts with
+// `difficulty` zero bits.
+
+import crypto from "crypto";
+
+export const VERIFICATION_MODES = ["off", "pow", "turnstile", "hcaptcha", "recaptcha"];
+
+const CAPTCHA_VERIFY_URLS = {
+  turnstile: "https://challenges.cloudflare.com/turnstile/v0/siteverify",
+  hcaptcha: "https://hcaptcha.com/siteverify",
+  recaptcha: "https://www.google.com/recaptcha/api/siteverify"
+};
+
+function leadingZeroBits(buffer) {
+  let bits = 0;
+  for (const byte of buffer) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+  return bits;
+}
+
+/**
+ * mode: one of VERIFICATION_MODES. captchaSecret is required for the CAPTCHA
+ * modes. Challenges are HMAC signed with `secret`, so any instance sharing it
+ * can check them; solved ones are remembered locally until they expire so a
+ * solution can't be replayed on the same instance.
+ */
+export function createVerifier({
+  mode = "off",
+  secret,
+  captchaSecret = "",
+  difficulty = 16,
+  challengeTtlMs = 5 * 60 * 1000
+}) {
+  const activeMode = VERIFICATION_MODES.includes(mode) ? mode : "off";
+  const signingKey = secret || crypto.randomBytes(32).toString("hex");
+  const used = new Map();
+
+  if (mode && activeMode !== mode) console.warn(`Unknown SCAN_VERIFICATION mode "${mode}". Verification is off.`);
+  if (CAPTCHA_VERIFY_URLS[activeMode] && !captchaSecret) {
+    console.warn(`SCAN_VERIFICATION is ${activeMode} but CAPTCHA_SECRET is missing. Every scan will be rejected.`);
+  }
+
+  function sign(body) {
+    return crypto.createHmac("sha256", signingKey).update(body).digest("base64url");
+  }
+
+  // What the client needs to know before submitting a scan
+  function challenge() {
+    if (activeMode !== "pow") return { mode: activeMode };
+
+    const body = `${crypto.randomBytes(12).toString("base64url")}.${Date.now() + challengeTtlMs}.${difficulty}`;
+    return { mode: "pow", challenge: `${body}.${sign(body)}`, difficulty };
+  }
+
+  function verifyPow(pow) {
+    const challengeValue = String(pow?.challenge || "");
+    const nonce = String(pow?.nonce ?? "");
+    const [id, exp, bits, sig] = challengeValue.split(".");
+
+    if (!id || !exp || !bits || !sig || !nonce || nonce.length > 64) return false;
+    if (sign(`${id}.${exp}.${bits}`) !== sig) return false;
+    if (!(Number(exp) > Date.now()) || Number(bits) < difficulty) return false;
+    if (used.has(id)) return false;
+
+    const hash = crypto.createHash("sha256").update(challengeValue + nonce).digest();
+    if (leadingZeroBits(hash) < Number(bits)) return false;
+
+    const now = Date.now();
+    for (const [key, expiry] of used) if (expiry <= now) used.delete(key);
+    used.set(id, Number(exp));
+    return true;
+  }
+
+  async function verifyCaptcha(token, ip) {
+    if (!captchaSecret || !token) return false;
+
+    const form = new URLSearchParams({ secret: captchaSecret, response: String(token) });
+    if (ip) form.set("remoteip", ip);
+
+    try {
+      const res = await fetch(CAPTCHA_VERIFY_URLS[activeMode], {
+        method: "POST",
+        body: form,
+        signal: AbortSignal.timeout(5000)
+      });
+      const data = await res.json();
+      return data?.success === true;
+    } catch (err) {
+      console.error("CAPTCHA verify failed:", err?.message || err);
+      return false;
+    }
+  }
+
+  /**
+   * Checks the verification fields of a scan request body:
+   * { pow: { challenge, nonce } } or { captchaToken }.
+   */
+  async function verify(body, ip) {
+    if (activeMode === "off") return true;
+    if (activeMode === "pow") return verifyPow(body?.pow);
+    return verifyCaptcha(body?.captchaToken, ip);
+  }
+
+  return { mode: activeMode, challenge, verify };
+}
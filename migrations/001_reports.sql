@@ -0,0 +1,36 @@
+-- Cached website reports, one row per site (url_hash = hash of the
+-- normalized domain). Every scan overwrites the row; the immutable copy
+-- lives in the report history table.
+--
+-- Columns are added one by one so this also brings an existing table that
+-- predates migrations up to date.
+
+create table if not exists beacon_ai (
+  id bigint generated by default as identity primary key,
+  created_at timestamptz not null default now()
+);
+
+alter table beacon_ai add column if not exists url_hash text;
+alter table beacon_ai add column if not exists domain text;
+alter table beacon_ai add column if not exists score integer;
+alter table beacon_ai add column if not exists summary text;
+alter table beacon_ai add column if not exists issues jsonb;
+alter table beacon_ai add column if not exists category_scores jsonb;
+alter table beacon_ai add column if not exists title text;
+alter table beacon_ai add column if not exists meta_description text;
+alter table beacon_ai add column if not exists h1_count integer;
+alter table beacon_ai add column if not exists final_url text;
+alter table beacon_ai add column if not exists status_code integer;
+alter table beacon_ai add column if not exists audit jsonb;
+alter table beacon_ai add column if not exists analyzer_version integer;
+alter table beacon_ai add column if not exists snapshot_id bigint;
+alter table beacon_ai add column if not exists analyzed_at timestamptz;
+alter table beacon_ai add column if not exists expires_at timestamptz;
+alter table beacon_ai add column if not exists updated_at timestamptz not null default now();
+
+-- The cache key; scans look reports up by it
+create unique index if not exists beacon_ai_url_hash_key on beacon_ai (url_hash);
+create index if not exists beacon_ai_domain_idx on beacon_ai (domain);
+
+-- Only the backend (service role) reads and writes
+alter table beacon_ai enable row level security;
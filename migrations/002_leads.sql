@@ -0,0 +1,51 @@
+-- Leads: people who asked to have a scan emailed, one row per email and
+-- site since 004_lead_dedup.sql (a rescan updates the row). The offer shown
+-- is copied onto the row because the package catalog can change later.
+
+create table if not exists beacon_ai_leads (
+  id bigint generated by default as identity primary key,
+  created_at timestamptz not null default now()
+);
+
+-- Who and which site
+alter table beacon_ai_leads add column if not exists email text;
+alter table beacon_ai_leads add column if not exists verified_at timestamptz;
+alter table beacon_ai_leads add column if not exists locale text;
+alter table beacon_ai_leads add column if not exists business_name text;
+alter table beacon_ai_leads add column if not exists contact_name text;
+alter table beacon_ai_leads add column if not exists domain text;
+alter table beacon_ai_leads add column if not exists url_hash text;
+alter table beacon_ai_leads add column if not exists score integer;
+alter table beacon_ai_leads add column if not exists summary text;
+
+-- Pipeline
+alter table beacon_ai_leads add column if not exists status text not null default 'new';
+alter table beacon_ai_leads add column if not exists status_updated_at timestamptz;
+alter table beacon_ai_leads add column if not exists email_status text;
+
+-- Offer at scan time
+alter table beacon_ai_leads add column if not exists recommended_tier text;
+alter table beacon_ai_leads add column if not exists recommended_package_name text;
+alter table beacon_ai_leads add column if not exists recommended_price numeric(10, 2);
+alter table beacon_ai_leads add column if not exists recommended_discount_percent numeric(5, 2);
+alter table beacon_ai_leads add column if not exists recommended_discounted_price numeric(10, 2);
+alter table beacon_ai_leads add column if not exists discount_code text;
+alter table beacon_ai_leads add column if not exists discount_deadline_hours integer;
+
+-- Engagement (lib/engagement.js)
+alter table beacon_ai_leads add column if not exists engagement_score integer;
+alter table beacon_ai_leads add column if not exists engagement jsonb;
+alter table beacon_ai_leads add column if not exists engagement_updated_at timestamptz;
+
+-- Follow-up sequence (lib/followups.js)
+alter table beacon_ai_leads add column if not exists followups_sent jsonb not null default '[]'::jsonb;
+alter table beacon_ai_leads add column if not exists followup_last_sent_at timestamptz;
+alter table beacon_ai_leads add column if not exists followups_stopped_at timestamptz;
+alter table beacon_ai_leads add column if not exists followups_stop_reason text;
+
+create index if not exists beacon_ai_leads_email_idx on beacon_ai_leads (email);
+create index if not exists beacon_ai_leads_url_hash_idx on beacon_ai_leads (url_hash);
+create index if not exists beacon_ai_leads_created_at_idx on beacon_ai_leads (created_at desc);
+create index if not exists beacon_ai_leads_status_idx on beacon_ai_leads (status);
+
+alter table beacon_ai_leads enable row level security;
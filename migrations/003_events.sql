@@ -0,0 +1,27 @@
+-- Append-only event log: scans, emails, clicks, opens, webhook deliveries
+-- and pipeline changes. event_type names are listed where they're logged;
+-- meta holds anything event specific (lead_id, send_id, webhook_id, ...).
+
+create table if not exists beacon_ai_events (
+  id bigint generated by default as identity primary key,
+  created_at timestamptz not null default now()
+);
+
+alter table beacon_ai_events add column if not exists event_type text;
+alter table beacon_ai_events add column if not exists email text;
+alter table beacon_ai_events add column if not exists url_hash text;
+alter table beacon_ai_events add column if not exists domain text;
+alter table beacon_ai_events add column if not exists recommended_tier text;
+alter table beacon_ai_events add column if not exists meta jsonb;
+
+update beacon_ai_events set event_type = 'unknown' where event_type is null;
+alter table beacon_ai_events alter column event_type set not null;
+
+create index if not exists beacon_ai_events_email_idx on beacon_ai_events (email, created_at desc);
+create index if not exists beacon_ai_events_url_hash_idx on beacon_ai_events (url_hash, created_at desc);
+create index if not exists beacon_ai_events_created_at_idx on beacon_ai_events (created_at desc);
+
+-- Webhook deliveries are de-duplicated by their id
+create index if not exists beacon_ai_events_webhook_id_idx on beacon_ai_events ((meta ->> 'webhook_id'));
+
+alter table beacon_ai_events enable row level security;
@@ -0,0 +1,22 @@
+-- One lead per (email, domain): a repeat scan bumps scan_count and
+-- last_seen_at on the existing row instead of adding one (lib/leads.js).
+-- Rows from before this start at one scan seen at created_at; duplicates
+-- among them are merged from the admin lead page.
+
+alter table beacon_ai_leads add column if not exists scan_count integer not null default 1;
+alter table beacon_ai_leads add column if not exists first_seen_at timestamptz;
+alter table beacon_ai_leads add column if not exists last_seen_at timestamptz;
+
+update beacon_ai_leads set first_seen_at = created_at where first_seen_at is null;
+update beacon_ai_leads set last_seen_at = created_at where last_seen_at is null;
+
+alter table beacon_ai_leads alter column first_seen_at set default now();
+alter table beacon_ai_leads alter column first_seen_at set not null;
+alter table beacon_ai_leads alter column last_seen_at set default now();
+alter table beacon_ai_leads alter column last_seen_at set not null;
+
+-- Rescan lookup
+create index if not exists beacon_ai_leads_email_domain_idx on beacon_ai_leads (email, domain);
+
+-- Follow-ups run from the latest scan
+create index if not exists beacon_ai_leads_last_seen_at_idx on beacon_ai_leads (last_seen_at desc);
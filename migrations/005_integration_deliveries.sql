@@ -0,0 +1,27 @@
+-- Outbound integration deliveries (lib/integrations.js): one row per event
+-- per integration, updated on every attempt. status is pending, delivered
+-- or dead; the dead rows are the dead-letter log. payload holds what is
+-- re-sent on a retry.
+
+create table if not exists beacon_ai_integration_deliveries (
+  id uuid primary key,
+  integration text not null,
+  event_id text not null,
+  event_type text not null,
+  status text not null default 'pending',
+  attempts integer not null default 0,
+  payload jsonb not null,
+  error text,
+  error_code text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  delivered_at timestamptz
+);
+
+-- Admin listing (dead letters first of all) and resume after a restart
+create index if not exists beacon_ai_integration_deliveries_status_idx on beacon_ai_integration_deliveries (status, created_at desc);
+
+-- Idempotent events (discount.expiring) check for an earlier delivery
+create index if not exists beacon_ai_integration_deliveries_event_id_idx on beacon_ai_integration_deliveries (event_id);
+
+alter table beacon_ai_integration_deliveries enable row level security;
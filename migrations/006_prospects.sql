@@ -0,0 +1,25 @@
+-- Prospects imported in bulk from a CSV (routes/prospects.js), waiting for a
+-- batch scan. Kept apart from leads: nobody here asked for a report, so no
+-- emails or follow-ups go to them. A scan sets lead_id and scanned_at.
+
+create table if not exists beacon_ai_prospects (
+  id uuid primary key default gen_random_uuid(),
+  created_at timestamptz not null default now(),
+  batch_id uuid not null,
+  business_name text,
+  website text not null,
+  domain text not null,
+  email text not null,
+  status text not null default 'pending',
+  imported_by text,
+  lead_id uuid,
+  scanned_at timestamptz
+);
+
+-- One prospect per (email, domain); re-importing a file skips the ones already in
+create unique index if not exists beacon_ai_prospects_email_domain_idx on beacon_ai_prospects (email, domain);
+
+create index if not exists beacon_ai_prospects_status_idx on beacon_ai_prospects (status, created_at desc);
+create index if not exists beacon_ai_prospects_batch_id_idx on beacon_ai_prospects (batch_id);
+
+alter table beacon_ai_prospects enable row level security;
@@ -0,0 +1,29 @@
+-- Immutable report snapshots, one row per scan (saveSnapshot in server.js).
+-- beacon_ai holds only the latest copy of each site; its snapshot_id
+-- points here. Same columns as the report at the time it was made.
+
+create table if not exists beacon_ai_report_history (
+  id bigint generated by default as identity primary key,
+  created_at timestamptz not null default now()
+);
+
+alter table beacon_ai_report_history add column if not exists url_hash text;
+alter table beacon_ai_report_history add column if not exists domain text;
+alter table beacon_ai_report_history add column if not exists score integer;
+alter table beacon_ai_report_history add column if not exists summary text;
+alter table beacon_ai_report_history add column if not exists issues jsonb;
+alter table beacon_ai_report_history add column if not exists category_scores jsonb;
+alter table beacon_ai_report_history add column if not exists title text;
+alter table beacon_ai_report_history add column if not exists meta_description text;
+alter table beacon_ai_report_history add column if not exists h1_count integer;
+alter table beacon_ai_report_history add column if not exists final_url text;
+alter table beacon_ai_report_history add column if not exists status_code integer;
+alter table beacon_ai_report_history add column if not exists audit jsonb;
+alter table beacon_ai_report_history add column if not exists analyzer_version integer;
+alter table beacon_ai_report_history add column if not exists analyzed_at timestamptz;
+alter table beacon_ai_report_history add column if not exists expires_at timestamptz;
+
+-- A site's history, newest first
+create index if not exists beacon_ai_report_history_url_hash_idx on beacon_ai_report_history (url_hash, analyzed_at desc);
+
+alter table beacon_ai_report_history enable row level security;
@@ -0,0 +1,21 @@
+-- Scan jobs (lib/jobs.js): written on every status change so GET
+-- /api/scans/:id still answers after a restart and unfinished jobs are
+-- queued again on startup. The id is assigned by the queue.
+
+create table if not exists beacon_ai_scan_jobs (
+  id uuid primary key,
+  created_at timestamptz not null default now()
+);
+
+alter table beacon_ai_scan_jobs add column if not exists status text not null default 'queued';
+alter table beacon_ai_scan_jobs add column if not exists payload jsonb;
+alter table beacon_ai_scan_jobs add column if not exists attempts integer not null default 0;
+alter table beacon_ai_scan_jobs add column if not exists error text;
+alter table beacon_ai_scan_jobs add column if not exists error_code text;
+alter table beacon_ai_scan_jobs add column if not exists result jsonb;
+alter table beacon_ai_scan_jobs add column if not exists updated_at timestamptz not null default now();
+
+-- Resume after a restart: everything not done or failed, oldest first
+create index if not exists beacon_ai_scan_jobs_status_idx on beacon_ai_scan_jobs (status, created_at);
+
+alter table beacon_ai_scan_jobs enable row level security;
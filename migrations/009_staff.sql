@@ -0,0 +1,59 @@
+-- Staff accounts, API keys and the audit log (lib/auth.js, routes/staff.js).
+-- role is admin, sales or read_only. Passwords and keys are stored hashed;
+-- key_prefix is the part of a key shown in the admin list.
+
+create table if not exists beacon_ai_staff (
+  id uuid primary key default gen_random_uuid(),
+  created_at timestamptz not null default now()
+);
+
+alter table beacon_ai_staff add column if not exists email text;
+alter table beacon_ai_staff add column if not exists name text;
+alter table beacon_ai_staff add column if not exists role text;
+alter table beacon_ai_staff add column if not exists active boolean not null default true;
+alter table beacon_ai_staff add column if not exists password_hash text;
+alter table beacon_ai_staff add column if not exists last_login_at timestamptz;
+
+-- Login looks staff up by (lower cased) email
+create unique index if not exists beacon_ai_staff_email_key on beacon_ai_staff (email);
+
+alter table beacon_ai_staff enable row level security;
+
+create table if not exists beacon_ai_api_keys (
+  id uuid primary key default gen_random_uuid(),
+  created_at timestamptz not null default now()
+);
+
+alter table beacon_ai_api_keys add column if not exists name text;
+alter table beacon_ai_api_keys add column if not exists role text;
+alter table beacon_ai_api_keys add column if not exists key_hash text;
+alter table beacon_ai_api_keys add column if not exists key_prefix text;
+alter table beacon_ai_api_keys add column if not exists active boolean not null default true;
+alter table beacon_ai_api_keys add column if not exists created_by text;
+alter table beacon_ai_api_keys add column if not exists last_used_at timestamptz;
+
+create unique index if not exists beacon_ai_api_keys_key_hash_key on beacon_ai_api_keys (key_hash);
+
+alter table beacon_ai_api_keys enable row level security;
+
+-- Who did what to which record. actor_id is "staff:<id>", "api_key:<id>"
+-- or "env:ADMIN_API_KEY".
+create table if not exists beacon_ai_audit_log (
+  id bigint generated by default as identity primary key,
+  created_at timestamptz not null default now()
+);
+
+alter table beacon_ai_audit_log add column if not exists actor_id text;
+alter table beacon_ai_audit_log add column if not exists actor_type text;
+alter table beacon_ai_audit_log add column if not exists actor_role text;
+alter table beacon_ai_audit_log add column if not exists action text;
+alter table beacon_ai_audit_log add column if not exists target_type text;
+alter table beacon_ai_audit_log add column if not exists target_id text;
+alter table beacon_ai_audit_log add column if not exists meta jsonb;
+alter table beacon_ai_audit_log add column if not exists ip text;
+
+create index if not exists beacon_ai_audit_log_created_at_idx on beacon_ai_audit_log (created_at desc);
+create index if not exists beacon_ai_audit_log_target_idx on beacon_ai_audit_log (target_type, target_id, created_at desc);
+create index if not exists beacon_ai_audit_log_actor_id_idx on beacon_ai_audit_log (actor_id, created_at desc);
+
+alter table beacon_ai_audit_log enable row level security;
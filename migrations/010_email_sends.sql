@@ -0,0 +1,47 @@
+-- Email bookkeeping. Suppressions are addresses we never email again
+-- (reason: unsubscribe, bounce, complaint or manual). Email sends has one
+-- row per message handed to the transport; its id travels in tracked links
+-- and the open pixel, message_id matches delivery webhooks back to it.
+
+create table if not exists beacon_ai_suppressions (
+  id bigint generated by default as identity primary key,
+  created_at timestamptz not null default now()
+);
+
+alter table beacon_ai_suppressions add column if not exists email text;
+alter table beacon_ai_suppressions add column if not exists reason text;
+alter table beacon_ai_suppressions add column if not exists source text;
+alter table beacon_ai_suppressions add column if not exists meta jsonb;
+
+-- suppress() upserts on email
+create unique index if not exists beacon_ai_suppressions_email_key on beacon_ai_suppressions (email);
+
+alter table beacon_ai_suppressions enable row level security;
+
+create table if not exists beacon_ai_email_sends (
+  id uuid primary key,
+  created_at timestamptz not null default now()
+);
+
+alter table beacon_ai_email_sends add column if not exists message_id text;
+alter table beacon_ai_email_sends add column if not exists campaign text;
+alter table beacon_ai_email_sends add column if not exists lead_id bigint references beacon_ai_leads (id) on delete set null;
+alter table beacon_ai_email_sends add column if not exists transport text;
+alter table beacon_ai_email_sends add column if not exists kind text;
+alter table beacon_ai_email_sends add column if not exists email text;
+alter table beacon_ai_email_sends add column if not exists subject text;
+alter table beacon_ai_email_sends add column if not exists url_hash text;
+alter table beacon_ai_email_sends add column if not exists domain text;
+alter table beacon_ai_email_sends add column if not exists status text not null default 'sent';
+alter table beacon_ai_email_sends add column if not exists meta jsonb;
+alter table beacon_ai_email_sends add column if not exists last_event_at timestamptz;
+alter table beacon_ai_email_sends add column if not exists first_opened_at timestamptz;
+alter table beacon_ai_email_sends add column if not exists last_opened_at timestamptz;
+alter table beacon_ai_email_sends add column if not exists open_count integer not null default 0;
+alter table beacon_ai_email_sends add column if not exists last_clicked_at timestamptz;
+
+create index if not exists beacon_ai_email_sends_message_id_idx on beacon_ai_email_sends (message_id);
+create index if not exists beacon_ai_email_sends_email_idx on beacon_ai_email_sends (email, created_at desc);
+create index if not exists beacon_ai_email_sends_lead_id_idx on beacon_ai_email_sends (lead_id);
+
+alter table beacon_ai_email_sends enable row level security;
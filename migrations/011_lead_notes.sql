@@ -0,0 +1,15 @@
+-- Staff notes on a lead from the admin lead page. Merging leads moves the
+-- notes to the lead that is kept; deleting a lead takes its notes with it.
+
+create table if not exists beacon_ai_lead_notes (
+  id bigint generated by default as identity primary key,
+  created_at timestamptz not null default now()
+);
+
+alter table beacon_ai_lead_notes add column if not exists lead_id bigint references beacon_ai_leads (id) on delete cascade;
+alter table beacon_ai_lead_notes add column if not exists body text;
+alter table beacon_ai_lead_notes add column if not exists author text;
+
+create index if not exists beacon_ai_lead_notes_lead_id_idx on beacon_ai_lead_notes (lead_id, created_at);
+
+alter table beacon_ai_lead_notes enable row level security;
@@ -0,0 +1,81 @@
+-- Makes (email, domain) unique on leads so saveLead can insert with
+-- ON CONFLICT DO NOTHING instead of looking up first, which let two
+-- concurrent scans of the same contact both insert.
+--
+-- Existing rows are normalized the way the code writes them (lower case
+-- email, domain without "www.") and duplicates are folded into the oldest
+-- row like the admin merge tool does: counters add up, first/last seen
+-- widen, scan fields, names and follow-up state come from the most
+-- recently scanned row, notes and sends move over.
+
+update beacon_ai_leads set email = lower(trim(email)) where email is distinct from lower(trim(email));
+update beacon_ai_leads set domain = regexp_replace(lower(trim(domain)), '^www\.', '')
+  where domain is distinct from regexp_replace(lower(trim(domain)), '^www\.', '');
+
+-- Every row of a duplicated contact, with the row that is kept (the oldest)
+-- and the most recently scanned one
+create temporary table lead_merge on commit drop as
+select
+  id,
+  first_value(id) over (partition by email, domain order by created_at, id) as keep_id,
+  first_value(id) over (partition by email, domain order by last_seen_at desc, id desc) as latest_id
+from beacon_ai_leads
+where email is not null and domain is not null;
+
+delete from lead_merge where keep_id in (select keep_id from lead_merge group by keep_id having count(*) = 1);
+
+update beacon_ai_leads l set
+  scan_count = g.scan_count,
+  first_seen_at = g.first_seen_at,
+  last_seen_at = g.last_seen_at,
+  verified_at = g.verified_at,
+  email_status = coalesce(g.email_status, l.email_status)
+from (
+  select
+    m.keep_id,
+    sum(coalesce(d.scan_count, 1)) as scan_count,
+    min(d.first_seen_at) as first_seen_at,
+    max(d.last_seen_at) as last_seen_at,
+    min(d.verified_at) as verified_at,
+    case
+      when bool_or(d.email_status = 'complained') then 'complained'
+      when bool_or(d.email_status = 'bounced') then 'bounced'
+    end as email_status
+  from lead_merge m
+  join beacon_ai_leads d on d.id = m.id
+  group by m.keep_id
+) g
+where l.id = g.keep_id;
+
+update beacon_ai_leads l set
+  url_hash = s.url_hash,
+  locale = s.locale,
+  score = s.score,
+  summary = s.summary,
+  recommended_tier = s.recommended_tier,
+  recommended_package_name = s.recommended_package_name,
+  recommended_price = s.recommended_price,
+  recommended_discount_percent = s.recommended_discount_percent,
+  recommended_discounted_price = s.recommended_discounted_price,
+  discount_code = s.discount_code,
+  discount_deadline_hours = s.discount_deadline_hours,
+  business_name = coalesce(nullif(nullif(trim(s.business_name), ''), 'Unknown Business'), l.business_name),
+  contact_name = coalesce(nullif(trim(s.contact_name), ''), l.contact_name),
+  followups_sent = s.followups_sent,
+  followups_stopped_at = s.followups_stopped_at,
+  followups_stop_reason = s.followups_stop_reason
+from (select distinct keep_id, latest_id from lead_merge where latest_id <> keep_id) m
+join beacon_ai_leads s on s.id = m.latest_id
+where l.id = m.keep_id;
+
+update beacon_ai_lead_notes n set lead_id = m.keep_id from lead_merge m where n.lead_id = m.id and m.id <> m.keep_id;
+update beacon_ai_email_sends e set lead_id = m.keep_id from lead_merge m where e.lead_id = m.id and m.id <> m.keep_id;
+
+delete from beacon_ai_leads l using lead_merge m where l.id = m.id and m.id <> m.keep_id;
+
+-- The upsert's conflict target (PostgREST names columns, not expressions)
+drop index if exists beacon_ai_leads_email_domain_idx;
+create unique index if not exists beacon_ai_leads_email_domain_key on beacon_ai_leads (email, domain);
+
+-- And a guard against a writer that skips normalizeLeadEmail
+create unique index if not exists beacon_ai_leads_lower_email_domain_key on beacon_ai_leads (lower(email), domain);
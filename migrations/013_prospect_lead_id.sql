@@ -0,0 +1,18 @@
+-- 006_prospects.sql first declared lead_id as uuid, but lead ids are bigint
+-- (002_leads.sql), so a prospect could never point at its lead. Nothing
+-- sets lead_id yet, so a database that got the uuid column has it replaced
+-- rather than converted.
+
+do $$
+begin
+  if exists (
+    select 1 from information_schema.columns
+    where table_schema = current_schema() and table_name = 'beacon_ai_prospects' and column_name = 'lead_id' and data_type = 'uuid'
+  ) then
+    alter table beacon_ai_prospects drop column lead_id;
+    alter table beacon_ai_prospects add column lead_id bigint references beacon_ai_leads (id) on delete set null;
+  end if;
+end $$;
+
+-- Merging leads moves prospects by lead_id; deleting a lead clears it
+create index if not exists beacon_ai_prospects_lead_id_idx on beacon_ai_prospects (lead_id);
@@ -0,0 +1,383 @@
+// routes/admin.js (ESM)
+//
+// Admin API for working the lead pipeline. Mounted behind auth.authenticate in
+// server.js; each route checks its own permission and writes to the audit log.
+
+import express from "express";
+import { csvLine } from "../lib/csv.js";
+import { safeString } from "../lib/input.js";
+import { discountDeadline, discountStatus, mergeLeads } from "../lib/leads.js";
+import { EMAIL_SENDS_TABLE, LEAD_NOTES_TABLE, PROSPECTS_TABLE } from "../lib/tables.js";
+
+export const LEAD_STATUSES = ["new", "contacted", "qualified", "won", "lost"];
+
+const SORTABLE_COLUMNS = new Set(["created_at", "last_seen_at", "scan_count", "score", "domain", "business_name", "status", "engagement_score"]);
+
+const MAX_MERGE = 50;
+
+export const EXPORT_FORMATS = ["csv", "ndjson"];
+
+// Spreadsheet columns, in order; NDJSON lines carry the same keys
+const EXPORT_COLUMNS = [
+  "id",
+  "created_at",
+  "first_seen_at",
+  "last_seen_at",
+  "business_name",
+  "contact_name",
+  "email",
+  "domain",
+  "status",
+  "score",
+  "recommended_tier",
+  "recommended_package_name",
+  "recommended_price",
+  "recommended_discount_percent",
+  "recommended_discounted_price",
+  "discount_code",
+  "discount_deadline",
+  "discount_status",
+  "engagement_score",
+  "engaged",
+  "scan_count",
+  "verified_at",
+  "email_status"
+];
+
+const EXPORT_PAGE_SIZE = 500;
+
+// PostgREST filter values can't contain these without quoting
+function searchTerm(v) {
+  return safeString(v).replace(/[,()*%\\]/g, " ").trim().slice(0, 100);
+}
+
+function numberOrNull(v) {
+  if (v === undefined || v === null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function dateOrNull(v) {
+  const value = safeString(v);
+  if (!value) return null;
+  const time = Date.parse(value);
+  return Number.isFinite(time) ? new Date(time).toISOString() : null;
+}
+
+function booleanOrNull(v) {
+  if (v === "true") return true;
+  if (v === "false") return false;
+  return null;
+}
+
+// leads.search() filters from the list's query string (shared with export)
+function leadFilters(query) {
+  return {
+    q: searchTerm(query.q),
+    status: safeString(query.status),
+    tier: safeString(query.tier),
+    domain: searchTerm(query.domain).toLowerCase(),
+    minScore: numberOrNull(query.minScore),
+    maxScore: numberOrNull(query.maxScore),
+    from: dateOrNull(query.from),
+    to: dateOrNull(query.to),
+    engaged: booleanOrNull(query.engaged)
+  };
+}
+
+function exportRow(lead, now) {
+  const row = Object.fromEntries(EXPORT_COLUMNS.map((column) => [column, lead[column] ?? null]));
+  row.discount_deadline = discountDeadline(lead);
+  row.discount_status = discountStatus(lead, now);
+  row.engaged = Number(lead.engagement_score) > 0;
+  row.scan_count = lead.scan_count ?? 1;
+  return row;
+}
+
+// Waits out backpressure; a closed connection counts as drained
+function writeChunk(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+}
+
+// reports, leads and events are the storage repositories; notes and sends
+// still go through the Supabase client (or its in-memory stand-in)
+export function createAdminRouter({ supabase, reports, leads, events, engagement, logEvent, auth }) {
+  const router = express.Router();
+  const canRead = auth.authorize("leads:read");
+  const canWrite = auth.authorize("leads:write");
+
+  // List / search / filter leads
+  router.get("/leads", canRead, async (req, res) => {
+    try {
+      const page = Math.max(Number(req.query.page) || 1, 1);
+      const pageSize = Math.min(Math.max(Number(req.query.pageSize) || 25, 1), 100);
+      const sort = SORTABLE_COLUMNS.has(req.query.sort) ? req.query.sort : "created_at";
+      const ascending = req.query.order === "asc";
+
+      const { rows, total } = await leads.search(leadFilters(req.query), { sort, ascending, offset: (page - 1) * pageSize, limit: pageSize });
+
+      await auth.audit(req, "lead.list", { targetType: "lead", meta: { query: req.query, returned: rows.length } });
+
+      return res.json({ ok: true, leads: rows, total, page, pageSize });
+    } catch (err) {
+      console.error("Admin leads error:", err?.message || err);
+      return res.status(500).json({ ok: false, error: "Could not load leads." });
+    }
+  });
+
+  // Every lead matching the list filters, oldest first, streamed a page at
+  // a time. ?format=csv (default, opens in Excel) or ndjson.
+  router.get("/leads/export", canRead, async (req, res) => {
+    const format = safeString(req.query.format) || "csv";
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ ok: false, error: `format must be one of ${EXPORT_FORMATS.join(", ")}.` });
+    }
+
+    const filters = leadFilters(req.query);
+    const now = Date.now();
+
+    try {
+      // Headers go out with the first write, so a failing first page can
+      // still answer with a JSON error
+      let { rows } = await leads.search(filters, { sort: "created_at", ascending: true, offset: 0, limit: EXPORT_PAGE_SIZE });
+
+      await auth.audit(req, "lead.export", { targetType: "lead", meta: { query: req.query, format } });
+
+      res.set({
+        "Content-Type": format === "csv" ? "text/csv; charset=utf-8" : "application/x-ndjson; charset=utf-8",
+        "Content-Disposition": `attachment; filename="beacon-leads-${new Date(now).toISOString().slice(0, 10)}.${format}"`,
+        "Cache-Control": "no-store"
+      });
+
+      // The BOM makes Excel read the file as UTF-8
+      if (format === "csv") await writeChunk(res, `\uFEFF${csvLine(EXPORT_COLUMNS)}`);
+
+      for (let offset = 0; ; ) {
+        for (const lead of rows) {
+          if (res.destroyed) return;
+          const row = exportRow(lead, now);
+          await writeChunk(res, format === "csv" ? csvLine(EXPORT_COLUMNS.map((c) => row[c])) : `${JSON.stringify(row)}\n`);
+        }
+
+        if (rows.length < EXPORT_PAGE_SIZE) break;
+        offset += EXPORT_PAGE_SIZE;
+        ({ rows } = await leads.search(filters, { sort: "created_at", ascending: true, offset, limit: EXPORT_PAGE_SIZE }));
+      }
+
+      return res.end();
+    } catch (err) {
+      console.error("Lead export error:", err?.message || err);
+      if (!res.headersSent) return res.status(500).json({ ok: false, error: "Could not export leads." });
+      // Cut the download off so a partial file doesn't pass for a complete one
+      return res.destroy();
+    }
+  });
+
+  // Pipeline counts per status
+  router.get("/stats", canRead, async (req, res) => {
+    try {
+      const counts = {};
+      for (const status of LEAD_STATUSES) {
+        counts[status] = await leads.countByStatus(status);
+      }
+
+      return res.json({ ok: true, statuses: LEAD_STATUSES, counts });
+    } catch (err) {
+      console.error("Admin stats error:", err?.message || err);
+      return res.status(500).json({ ok: false, error: "Could not load stats." });
+    }
+  });
+
+  // One lead with its report, emails sent, event timeline and notes
+  router.get("/leads/:id", canRead, async (req, res) => {
+    try {
+      const lead = await leads.findById(req.params.id);
+      if (!lead) return res.status(404).json({ ok: false, error: "Lead not found." });
+
+      // Same shape as the Supabase responses below so one failure doesn't
+      // hide the rest of the page
+      const settle = (promise) => promise.then((data) => ({ data }), (err) => ({ error: { message: err?.message || String(err) } }));
+
+      const [reportRes, domainEventsRes, emailEventsRes, notesRes, sendsRes] = await Promise.all([
+        lead.url_hash ? settle(reports.findByUrlHash(lead.url_hash)) : Promise.resolve({ data: null }),
+        lead.url_hash ? settle(events.list({ urlHash: lead.url_hash, limit: 200 })) : Promise.resolve({ data: [] }),
+        lead.email ? settle(events.list({ email: lead.email, limit: 200 })) : Promise.resolve({ data: [] }),
+        supabase.from(LEAD_NOTES_TABLE).select("*").eq("lead_id", lead.id).order("created_at", { ascending: true }),
+        lead.email
+          ? supabase
+              .from(EMAIL_SENDS_TABLE)
+              .select("id, lead_id, kind, campaign, subject, status, created_at, last_event_at, last_clicked_at")
+              .eq("email", lead.email)
+              .order("created_at", { ascending: false })
+              .limit(100)
+          : Promise.resolve({ data: [] })
+      ]);
+
+      for (const r of [reportRes, domainEventsRes, emailEventsRes, notesRes, sendsRes]) {
+        if (r.error) console.error("Admin lead detail query failed:", r.error.message);
+      }
+
+      // Same event can match on both url_hash and email
+      const seen = new Set();
+      const timeline = [...(domainEventsRes.data || []), ...(emailEventsRes.data || [])]
+        .filter((e) => (seen.has(e.id) ? false : seen.add(e.id)))
+        .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+
+      await auth.audit(req, "lead.view", { targetType: "lead", targetId: lead.id });
+
+      return res.json({
+        ok: true,
+        lead,
+        report: reportRes.data || null,
+        events: timeline,
+        notes: notesRes.data || [],
+        sends: sendsRes.data || []
+      });
+    } catch (err) {
+      console.error("Admin lead error:", err?.message || err);
+      return res.status(500).json({ ok: false, error: "Could not load lead." });
+    }
+  });
+
+  // Move a lead through the pipeline
+  router.patch("/leads/:id", canWrite, async (req, res) => {
+    try {
+      const status = safeString(req.body?.status);
+      if (!LEAD_STATUSES.includes(status)) {
+        return res.status(400).json({ ok: false, error: `Status must be one of: ${LEAD_STATUSES.join(", ")}.` });
+      }
+
+      const existing = await leads.findById(req.params.id);
+      if (!existing) return res.status(404).json({ ok: false, error: "Lead not found." });
+
+      const lead = await leads.update(existing.id, { status, status_updated_at: new Date().toISOString() });
+
+      await auth.audit(req, "lead.update", {
+        targetType: "lead",
+        targetId: existing.id,
+        meta: { status: { from: existing.status || null, to: status } }
+      });
+
+      if (existing.status !== status) {
+        await logEvent({
+          eventType: "lead_status_changed",
+          email: existing.email,
+          urlHash: existing.url_hash,
+          domain: existing.domain,
+          tier: existing.recommended_tier,
+          meta: { lead_id: existing.id, from: existing.status || null, to: status, actor: req.actor?.id || null }
+        });
+      }
+
+      return res.json({ ok: true, lead });
+    } catch (err) {
+      console.error("Admin lead update error:", err?.message || err);
+      return res.status(500).json({ ok: false, error: "Could not update lead." });
+    }
+  });
+
+  // Other leads for the same address and site that differ only by casing or
+  // "www." (or are exact copies from before leads were de-duplicated)
+  router.get("/leads/:id/duplicates", canRead, async (req, res) => {
+    try {
+      const lead = await leads.findById(req.params.id);
+      if (!lead) return res.status(404).json({ ok: false, error: "Lead not found." });
+
+      const duplicates = (await leads.listByContact(lead.email, lead.domain)).filter((l) => String(l.id) !== String(lead.id));
+      return res.json({ ok: true, duplicates });
+    } catch (err) {
+      console.error("Admin duplicates error:", err?.message || err);
+      return res.status(500).json({ ok: false, error: "Could not load duplicates." });
+    }
+  });
+
+  // Fold duplicates into this lead: counters and dates combine, notes, email
+  // sends and prospects move over, and the duplicate rows are deleted last so
+  // a failure part way leaves nothing lost
+  router.post("/leads/:id/merge", canWrite, async (req, res) => {
+    try {
+      const ids = Array.isArray(req.body?.ids) ? [...new Set(req.body.ids.map((id) => safeString(id)).filter(Boolean))] : [];
+      if (!ids.length) return res.status(400).json({ ok: false, error: "Pick at least one lead to merge." });
+      if (ids.length > MAX_MERGE) return res.status(400).json({ ok: false, error: `At most ${MAX_MERGE} leads can be merged at once.` });
+
+      const primary = await leads.findById(req.params.id);
+      if (!primary) return res.status(404).json({ ok: false, error: "Lead not found." });
+      if (ids.includes(String(primary.id))) return res.status(400).json({ ok: false, error: "A lead can't be merged into itself." });
+
+      const candidates = new Map((await leads.listByContact(primary.email, primary.domain)).map((l) => [String(l.id), l]));
+      const notDuplicate = ids.find((id) => !candidates.has(id));
+      if (notDuplicate) {
+        return res.status(400).json({ ok: false, error: `Lead ${notDuplicate} isn't a duplicate of this lead (same email and website).` });
+      }
+
+      const duplicates = ids.map((id) => candidates.get(id));
+      const dupIds = duplicates.map((l) => l.id);
+
+      // email and domain wait until the duplicates are gone: normalizing them
+      // here could collide with a duplicate on the unique (email, domain) index
+      const { email, domain, ...merged } = mergeLeads(primary, duplicates);
+      let lead = await leads.update(primary.id, merged);
+
+      for (const table of [LEAD_NOTES_TABLE, EMAIL_SENDS_TABLE, PROSPECTS_TABLE]) {
+        const { error } = await supabase.from(table).update({ lead_id: primary.id }).in("lead_id", dupIds);
+        if (error) throw new Error(error.message);
+      }
+
+      await leads.remove(dupIds);
+      if (email !== primary.email || domain !== primary.domain) lead = await leads.update(primary.id, { email, domain });
+
+      await auth.audit(req, "lead.merge", { targetType: "lead", targetId: primary.id, meta: { merged: ids } });
+      await logEvent({
+        eventType: "lead_merged",
+        email: lead.email,
+        urlHash: lead.url_hash,
+        domain: lead.domain,
+        meta: { lead_id: primary.id, merged: ids, actor: req.actor?.id || null }
+      });
+      await engagement.refresh(lead.email);
+
+      return res.json({ ok: true, lead: (await leads.findById(primary.id)) || lead, merged: ids });
+    } catch (err) {
+      console.error("Admin merge error:", err?.message || err);
+      return res.status(500).json({ ok: false, error: "Could not merge leads." });
+    }
+  });
+
+  // Add a note to a lead
+  router.post("/leads/:id/notes", canWrite, async (req, res) => {
+    try {
+      const body = safeString(req.body?.body);
+      if (!body) return res.status(400).json({ ok: false, error: "Note text is required." });
+      if (body.length > 5000) return res.status(400).json({ ok: false, error: "Note is too long." });
+
+      const lead = await leads.findById(req.params.id);
+      if (!lead) return res.status(404).json({ ok: false, error: "Lead not found." });
+
+      const { data: note, error } = await supabase
+        .from(LEAD_NOTES_TABLE)
+        .insert({ lead_id: lead.id, body, author: req.actor?.email || req.actor?.name || req.actor?.id || null })
+        .select("*")
+        .single();
+
+      if (error) return res.status(500).json({ ok: false, error: error.message });
+
+      await auth.audit(req, "lead.note", { targetType: "lead", targetId: lead.id, meta: { note_id: note.id } });
+
+      return res.status(201).json({ ok: true, note });
+    } catch (err) {
+      console.error("Admin note error:", err?.message || err);
+      return res.status(500).json({ ok: false, error: "Could not save note." });
+    }
+  });
+
+  return router;
+}
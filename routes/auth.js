@@ -0,0 +1,60 @@
+// routes/auth.js (ESM)
+//
+// Staff login and "who am I" for the admin UI.
+
+import express from "express";
+import { permissionsFor } from "../lib/auth.js";
+import { formatRetryAfter } from "../lib/ratelimit.js";
+
+function tooManyAttempts(res, limit) {
+  res.set("Retry-After", String(limit.retryAfterSec));
+  return res.status(429).json({
+    ok: false,
+    code: "RATE_LIMITED",
+    error: `Too many sign-in attempts. Please try again in ${formatRetryAfter(limit.retryAfterSec)}.`,
+    retry_after: limit.retryAfterSec
+  });
+}
+
+/**
+ * limits.ip and limits.email are rate limiters (lib/ratelimit.js) for login
+ * attempts; every attempt counts, successful or not.
+ */
+export function createAuthRouter({ auth, limits }) {
+  const router = express.Router();
+
+  router.post("/login", async (req, res) => {
+    try {
+      const email = String(req.body?.email || "").trim();
+      const password = String(req.body?.password || "");
+      if (!email || !password) return res.status(400).json({ ok: false, error: "Email and password are required." });
+
+      // Counted before the password check so parallel guesses can't slip through
+      const ipLimit = limits.ip.hit(req.ip);
+      if (!ipLimit.allowed) return tooManyAttempts(res, ipLimit);
+      const emailLimit = limits.email.hit(email.toLowerCase());
+      if (!emailLimit.allowed) return tooManyAttempts(res, emailLimit);
+
+      const session = await auth.login(email, password);
+      if (!session) return res.status(401).json({ ok: false, error: "Invalid email or password." });
+
+      req.actor = session.actor;
+      await auth.audit(req, "auth.login", { targetType: "staff", targetId: session.actor.staffId });
+
+      return res.json({
+        ok: true,
+        token: session.token,
+        actor: { ...session.actor, permissions: permissionsFor(session.actor.role) }
+      });
+    } catch (err) {
+      console.error("Login error:", err?.message || err);
+      return res.status(err?.status || 500).json({ ok: false, error: err?.status ? err.message : "Could not sign in." });
+    }
+  });
+
+  router.get("/me", auth.authenticate, (req, res) => {
+    res.json({ ok: true, actor: { ...req.actor, permissions: permissionsFor(req.actor.role) } });
+  });
+
+  return router;
+}
@@ -0,0 +1,138 @@
+// routes/dev.js (ESM)
+//
+// Local email preview, and a stand-in receiver for outbound integrations.
+// Neither is mounted in production; see server.js for when each one is.
+
+import crypto from "crypto";
+import express from "express";
+import { escapeHtml } from "../lib/format.js";
+import { verifyWebhookSignature } from "../lib/integrations.js";
+
+// Enough to look through a test run without growing forever
+const MAX_RECEIVED = 200;
+
+function summary(message) {
+  return { id: message.id, created_at: message.created_at, to: message.to, subject: message.subject, headers: message.headers || null };
+}
+
+export function createDevRouter({ mail }) {
+  const router = express.Router();
+
+  // Newest first. HTML index in a browser, JSON with ?format=json (for tests)
+  router.get("/outbox", (req, res) => {
+    const messages = mail.list();
+
+    if (req.query.format === "json") {
+      return res.json({ ok: true, messages: messages.map(summary) });
+    }
+
+    const rows = messages
+      .map(
+        (m) => `<tr>
+          <td>${escapeHtml(m.created_at)}</td>
+          <td>${escapeHtml(m.to)}</td>
+          <td><a href="outbox/${encodeURIComponent(m.id)}">${escapeHtml(m.subject)}</a></td>
+          <td><a href="outbox/${encodeURIComponent(m.id)}?format=text">text</a></td>
+        </tr>`
+      )
+      .join("");
+
+    return res.send(`<!doctype html>
+<html>
+  <head><meta charset="utf-8" /><title>Outbox</title></head>
+  <body style="font-family:Arial,Helvetica,sans-serif;padding:20px;">
+    <h2>Outbox (${messages.length})</h2>
+    <table cellpadding="6" style="border-collapse:collapse;">
+      <tr><th align="left">Sent</th><th align="left">To</th><th align="left">Subject</th><th></th></tr>
+      ${rows || `<tr><td colspan="4">No emails yet.</td></tr>`}
+    </table>
+  </body>
+</html>`);
+  });
+
+  // One message: rendered HTML by default, ?format=text or ?format=json
+  router.get("/outbox/:id", (req, res) => {
+    const message = mail.get(req.params.id);
+    if (!message) return res.status(404).json({ ok: false, error: "Message not found." });
+
+    if (req.query.format === "json") return res.json({ ok: true, message });
+    if (req.query.format === "text" || !message.html) return res.type("text/plain").send(message.text || "");
+    return res.send(message.html);
+  });
+
+  router.delete("/outbox", (req, res) => {
+    mail.clear();
+    return res.json({ ok: true });
+  });
+
+  return router;
+}
+
+/**
+ * Stand-in for the systems integrations post to. Point an integration's URL
+ * at /dev/integrations/<its name> and every delivery is kept in memory with
+ * its headers, body and whether the signature checks out against that
+ * integration's secret.
+ *
+ * ?fail=<status> answers with that status instead, to watch retries and
+ * the dead-letter log; add &times=<n> to fail only the first n attempts of
+ * each delivery.
+ */
+export function createIntegrationReceiverRouter({ integrations }) {
+  const router = express.Router();
+  const received = [];
+  const failures = new Map();
+
+  router.post("/integrations/:name", (req, res) => {
+    const { name } = req.params;
+    const deliveryId = req.get("x-beacon-delivery") || null;
+    const secret = integrations.find((i) => i.name === name)?.secret;
+    const payload = req.rawBody ? req.rawBody.toString("utf8") : "";
+
+    let signature = "unsigned";
+    if (req.get("x-beacon-signature")) {
+      signature = verifyWebhookSignature({ secret, headers: req.headers, payload }) ? "valid" : "invalid";
+    }
+
+    const fail = Number(req.query.fail) || null;
+    const times = Number(req.query.times) || Infinity;
+    const key = deliveryId || crypto.randomUUID();
+    const failed = failures.get(key) || 0;
+    const status = fail && failed < times ? fail : 200;
+    if (status !== 200) failures.set(key, failed + 1);
+
+    received.unshift({
+      id: crypto.randomUUID(),
+      received_at: new Date().toISOString(),
+      integration: name,
+      status,
+      signature,
+      headers: {
+        event: req.get("x-beacon-event") || null,
+        event_id: req.get("x-beacon-event-id") || null,
+        delivery: deliveryId,
+        timestamp: req.get("x-beacon-timestamp") || null,
+        authorization: req.get("authorization") ? "present" : null
+      },
+      body: req.body ?? null
+    });
+    received.length = Math.min(received.length, MAX_RECEIVED);
+
+    if (status !== 200) return res.status(status).json({ ok: false, error: `Failing on purpose (fail=${fail}).` });
+    return res.json({ ok: true });
+  });
+
+  // Newest first; ?integration=<name> narrows it down
+  router.get("/integrations", (req, res) => {
+    const name = String(req.query.integration || "");
+    return res.json({ ok: true, received: name ? received.filter((r) => r.integration === name) : received });
+  });
+
+  router.delete("/integrations", (req, res) => {
+    received.length = 0;
+    failures.clear();
+    return res.json({ ok: true });
+  });
+
+  return router;
+}
@@ -0,0 +1,46 @@
+// routes/emailTemplates.js (ESM)
+//
+// Email template previews, so copy changes can be checked before anything is
+// sent. Mounted behind auth.authenticate in server.js. Renders use the same
+// data builders as real sends, fed with templates/email/sample.json.
+
+import express from "express";
+import { listBrands } from "../lib/brands.js";
+
+export function createEmailTemplateRouter({ templates, previewData, auth }) {
+  const router = express.Router();
+  const canRead = auth.authorize("leads:read");
+
+  router.get("/email-templates", canRead, (req, res) => {
+    try {
+      return res.json({ ok: true, templates: templates.list(), locales: templates.locales(), brands: listBrands() });
+    } catch (err) {
+      console.error("Email templates error:", err?.message || err);
+      return res.status(500).json({ ok: false, error: `Could not load email templates: ${err?.message || err}` });
+    }
+  });
+
+  // ?locale=es&brand=<name>&step=<follow-up step id>&format=html|text|json
+  router.get("/email-templates/:name/preview", canRead, (req, res) => {
+    const { name } = req.params;
+    const brand = String(req.query.brand || "default");
+    const step = String(req.query.step || "");
+
+    let rendered;
+    try {
+      if (!templates.list().includes(name)) return res.status(404).json({ ok: false, error: "Template not found." });
+
+      const locale = templates.resolveLocale(req.query.locale);
+      rendered = templates.render(name, previewData(name, { locale, step }), { locale, brand });
+    } catch (err) {
+      // Usually a typo in a template or locale file; say where
+      return res.status(422).json({ ok: false, error: `Template error: ${err?.message || err}` });
+    }
+
+    if (req.query.format === "json") return res.json({ ok: true, template: name, ...rendered });
+    if (req.query.format === "text") return res.type("text/plain").send(rendered.text);
+    return res.send(rendered.html);
+  });
+
+  return router;
+}
@@ -0,0 +1,140 @@
+// routes/integrations.js (ESM)
+//
+// Admin API for outbound integrations: what is configured, the delivery log
+// (status=dead is the dead-letter log), retrying a dead delivery and test
+// sends. Mounted behind auth.authenticate in server.js.
+
+import express from "express";
+import { safeString } from "../lib/input.js";
+import { DELIVERY_STATUSES } from "../lib/integrations.js";
+import { INTEGRATION_EVENTS } from "../lib/integrationPayloads.js";
+import { recommendPackage } from "../lib/packages.js";
+
+// Stands in for a lead when a test send doesn't name one. The package comes
+// from the live catalog, the way a scan picks it, so the payload matches
+// what real events carry.
+function sampleLead() {
+  const report = { score: 62, issues: [] };
+  const rec = recommendPackage(report, { businessName: "Example Bakery" });
+
+  return {
+    id: "00000000-0000-0000-0000-000000000000",
+    email: "jane@example.com",
+    contact_name: "Jane Doe",
+    business_name: "Example Bakery",
+    domain: "example.com",
+    status: "new",
+    score: report.score,
+    summary: "Sample lead for an integration test.",
+    recommended_tier: rec.tier,
+    recommended_package_name: rec.packageName,
+    recommended_price: rec.price,
+    recommended_discount_percent: rec.discountPercent,
+    recommended_discounted_price: rec.discountedPrice,
+    discount_code: rec.code,
+    discount_deadline_hours: rec.deadlineHours,
+    scan_count: 1
+  };
+}
+
+export function createIntegrationRouter({ integrations, leads, auth }) {
+  const router = express.Router();
+  const canRead = auth.authorize("leads:read");
+  const canWrite = auth.authorize("leads:write");
+
+  router.get("/integrations", canRead, (req, res) => {
+    return res.json({ ok: true, integrations: integrations.list(), events: INTEGRATION_EVENTS });
+  });
+
+  // ?status=pending|delivered|dead&integration=<name>&event=<type>&limit=
+  router.get("/integrations/deliveries", canRead, async (req, res) => {
+    try {
+      const status = safeString(req.query.status);
+      if (status && !DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({ ok: false, error: `status must be one of ${DELIVERY_STATUSES.join(", ")}.` });
+      }
+
+      const deliveries = await integrations.listDeliveries({
+        status,
+        integration: safeString(req.query.integration),
+        eventType: safeString(req.query.event),
+        limit: Math.min(Math.max(Number(req.query.limit) || 100, 1), 500)
+      });
+
+      await auth.audit(req, "integration.deliveries", { targetType: "integration", meta: { query: req.query, returned: deliveries.length } });
+
+      return res.json({ ok: true, deliveries });
+    } catch (err) {
+      console.error("Integration deliveries error:", err?.message || err);
+      return res.status(500).json({ ok: false, error: "Could not load deliveries." });
+    }
+  });
+
+  router.get("/integrations/deliveries/:id", canRead, async (req, res) => {
+    try {
+      const delivery = await integrations.findDelivery(req.params.id);
+      if (!delivery) return res.status(404).json({ ok: false, error: "Delivery not found." });
+      return res.json({ ok: true, delivery });
+    } catch (err) {
+      console.error("Integration delivery error:", err?.message || err);
+      return res.status(500).json({ ok: false, error: "Could not load the delivery." });
+    }
+  });
+
+  // Send a dead letter again; the row goes back to pending
+  router.post("/integrations/deliveries/:id/retry", canWrite, async (req, res) => {
+    try {
+      const job = await integrations.retry(req.params.id);
+      if (!job) return res.status(404).json({ ok: false, error: "Delivery not found." });
+
+      await auth.audit(req, "integration.retry", { targetType: "integration_delivery", targetId: job.id, meta: { integration: job.payload.integration } });
+
+      return res.json({ ok: true, delivery: { id: job.id, status: "pending" } });
+    } catch (err) {
+      if (err?.code === "NOT_DEAD" || err?.code === "NOT_CONFIGURED") return res.status(409).json({ ok: false, error: err.message });
+      console.error("Integration retry error:", err?.message || err);
+      return res.status(500).json({ ok: false, error: "Could not retry the delivery." });
+    }
+  });
+
+  // Body: { event?, leadId? }. Sends one event to this integration only,
+  // marked test: true, built from the lead or a sample one.
+  router.post("/integrations/:name/test", canWrite, async (req, res) => {
+    try {
+      const integration = integrations.list().find((i) => i.name === req.params.name);
+      if (!integration) return res.status(404).json({ ok: false, error: "Integration not found." });
+      if (!integration.enabled) return res.status(409).json({ ok: false, error: "Integration is not enabled (no URL configured)." });
+
+      const type = safeString(req.body?.event) || "lead.created";
+      if (!INTEGRATION_EVENTS.includes(type)) {
+        return res.status(400).json({ ok: false, error: `event must be one of ${INTEGRATION_EVENTS.join(", ")}.` });
+      }
+
+      const leadId = safeString(req.body?.leadId);
+      const lead = leadId ? await leads.findById(leadId) : sampleLead();
+      if (!lead) return res.status(404).json({ ok: false, error: "Lead not found." });
+
+      const jobs = await integrations.emit(
+        type,
+        {
+          lead,
+          report: { url: null, score: lead.score ?? null, domain: lead.domain },
+          click: type === "cta.clicked" ? { type: "cta_book_call", domain: lead.domain } : undefined,
+          discount: type === "discount.expiring" ? { code: lead.discount_code, percent: lead.recommended_discount_percent ?? null, hours_left: 6 } : undefined
+        },
+        { only: integration.name, test: true }
+      );
+
+      if (!jobs.length) return res.status(422).json({ ok: false, error: "This integration has nothing to send for that event and lead." });
+
+      await auth.audit(req, "integration.test", { targetType: "integration", targetId: integration.name, meta: { event: type, lead_id: leadId || null } });
+
+      return res.json({ ok: true, delivery: { id: jobs[0].id, status: "pending" } });
+    } catch (err) {
+      console.error("Integration test error:", err?.message || err);
+      return res.status(500).json({ ok: false, error: "Could not send the test event." });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,240 @@
+// routes/prospects.js (ESM)
+//
+// Bulk import of prospects (business name, website, email) from a CSV, for
+// batch scanning later. Prospects aren't leads: they never asked for a
+// report, so nothing is emailed to them from here. Mounted behind
+// auth.authenticate in server.js.
+
+import crypto from "crypto";
+import express from "express";
+import { parseCsv } from "../lib/csv.js";
+import { isValidEmailFormat, safeString } from "../lib/input.js";
+import { normalizeLeadDomain, normalizeLeadEmail } from "../lib/leads.js";
+import { PROSPECTS_TABLE } from "../lib/tables.js";
+
+export const PROSPECT_STATUSES = ["pending", "scanned", "skipped"];
+
+const MAX_IMPORT_ROWS = 5000;
+const MAX_IMPORT_BYTES = "2mb";
+const CHUNK = 200;
+
+// Header spellings we accept, compared without case, spaces or punctuation
+const COLUMN_ALIASES = {
+  business_name: ["businessname", "business", "company", "companyname", "organization"],
+  website: ["website", "websiteurl", "url", "site", "domain"],
+  email: ["email", "emailaddress", "contactemail", "mail"]
+};
+
+const REQUIRED_COLUMNS = ["website", "email"];
+
+function headerKey(value) {
+  return String(value || "").toLowerCase().replace(/[^a-z]/g, "");
+}
+
+// Column index per field, -1 when the file doesn't have it
+function mapColumns(header) {
+  const keys = header.map(headerKey);
+  return Object.fromEntries(Object.entries(COLUMN_ALIASES).map(([field, aliases]) => [field, keys.findIndex((k) => aliases.includes(k))]));
+}
+
+// "https://www.Example.com/about" -> "example.com"; null if it isn't a site
+function websiteDomain(value) {
+  const input = safeString(value);
+  if (!input) return null;
+
+  try {
+    const url = new URL(/^https?:\/\//i.test(input) ? input : `https://${input}`);
+    const domain = normalizeLeadDomain(url.hostname);
+    return domain.includes(".") ? domain : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Checks every record on its own and returns { valid, errors }. errors has
+ * one entry per problem: { row, field, error }, with row counted the way a
+ * spreadsheet shows it (the header is row 1).
+ */
+function validateRows(records, columns) {
+  const valid = [];
+  const errors = [];
+  const seen = new Map();
+
+  records.forEach((record, i) => {
+    const row = i + 2;
+    const value = (field) => (columns[field] >= 0 ? safeString(record[columns[field]]) : "");
+    const rowErrors = [];
+
+    const rawEmail = value("email");
+    const email = normalizeLeadEmail(rawEmail);
+    if (!email) rowErrors.push({ field: "email", error: "Email is required." });
+    else if (!isValidEmailFormat(email)) rowErrors.push({ field: "email", error: `"${rawEmail}" is not a valid email address.` });
+
+    const website = value("website");
+    const domain = websiteDomain(website);
+    if (!website) rowErrors.push({ field: "website", error: "Website is required." });
+    else if (!domain) rowErrors.push({ field: "website", error: `"${website}" is not a valid website.` });
+
+    const businessName = value("business_name");
+    if (businessName.length > 200) rowErrors.push({ field: "business_name", error: "Business name is longer than 200 characters." });
+
+    if (!rowErrors.length) {
+      const key = `${email}|${domain}`;
+      if (seen.has(key)) rowErrors.push({ field: "email", error: `Same email and website as row ${seen.get(key)}.` });
+      else seen.set(key, row);
+    }
+
+    if (rowErrors.length) errors.push(...rowErrors.map((e) => ({ row, ...e })));
+    else valid.push({ row, email, domain, website, business_name: businessName || null });
+  });
+
+  return { valid, errors };
+}
+
+export function createProspectRouter({ supabase, suppressions, auth }) {
+  const router = express.Router();
+  const canRead = auth.authorize("leads:read");
+  const canWrite = auth.authorize("leads:write");
+
+  // Existing prospects among these, as "email|domain" keys
+  async function alreadyImported(prospects) {
+    const keys = new Set();
+    const emails = [...new Set(prospects.map((p) => p.email))];
+
+    for (let i = 0; i < emails.length; i += CHUNK) {
+      const { data, error } = await supabase.from(PROSPECTS_TABLE).select("email, domain").in("email", emails.slice(i, i + CHUNK));
+      if (error) throw new Error(error.message);
+      for (const p of data || []) keys.add(`${p.email}|${p.domain}`);
+    }
+
+    return keys;
+  }
+
+  // Body: the CSV (Content-Type: text/csv) with a header row naming at least
+  // website and email columns; business name is optional. ?dryRun=true
+  // only validates. Rows with problems are skipped and listed in errors;
+  // the rest are imported.
+  router.post(
+    "/prospects/import",
+    canWrite,
+    express.text({ type: ["text/csv", "text/plain", "application/csv", "application/vnd.ms-excel"], limit: MAX_IMPORT_BYTES }),
+    async (req, res) => {
+      try {
+        const dryRun = req.query.dryRun === "true";
+        if (typeof req.body !== "string" || !req.body.trim()) {
+          return res.status(400).json({ ok: false, error: "Send the CSV file as the request body with Content-Type: text/csv." });
+        }
+
+        let records;
+        try {
+          records = parseCsv(req.body);
+        } catch (err) {
+          return res.status(400).json({ ok: false, error: `Could not read the CSV: ${err.message}` });
+        }
+
+        const [header = [], ...rows] = records;
+        const columns = mapColumns(header);
+        const missing = REQUIRED_COLUMNS.filter((field) => columns[field] < 0);
+        if (missing.length) {
+          return res.status(400).json({
+            ok: false,
+            error: `The header row has no ${missing.join(" or ")} column. Expected columns: business name, website, email.`
+          });
+        }
+        if (!rows.length) return res.status(400).json({ ok: false, error: "The file has a header row but no prospects." });
+        if (rows.length > MAX_IMPORT_ROWS) {
+          return res.status(400).json({ ok: false, error: `At most ${MAX_IMPORT_ROWS} rows per import; this file has ${rows.length}.` });
+        }
+
+        const { valid, errors } = validateRows(rows, columns);
+
+        // Opted-out addresses stay out, even for a scan nobody emails
+        const suppressed = await suppressions.suppressedAmong(valid.map((p) => p.email));
+        const existing = await alreadyImported(valid);
+        const skipped = [];
+        const accepted = [];
+
+        for (const p of valid) {
+          if (suppressed.has(p.email)) errors.push({ row: p.row, field: "email", error: "This address has unsubscribed." });
+          else if (existing.has(`${p.email}|${p.domain}`)) skipped.push({ row: p.row, reason: "Already imported." });
+          else accepted.push(p);
+        }
+        errors.sort((a, b) => a.row - b.row);
+
+        const batchId = crypto.randomUUID();
+        let imported = 0;
+
+        if (!dryRun) {
+          for (let i = 0; i < accepted.length; i += CHUNK) {
+            const batch = accepted.slice(i, i + CHUNK).map((p) => ({
+              batch_id: batchId,
+              business_name: p.business_name,
+              website: p.website,
+              domain: p.domain,
+              email: p.email,
+              status: "pending",
+              imported_by: req.actor?.id || null
+            }));
+
+            // A concurrent import of the same rows loses quietly
+            const { data, error } = await supabase
+              .from(PROSPECTS_TABLE)
+              .upsert(batch, { onConflict: "email,domain", ignoreDuplicates: true })
+              .select("id");
+            if (error) throw new Error(error.message);
+            imported += data?.length ?? 0;
+          }
+
+          await auth.audit(req, "prospect.import", {
+            targetType: "prospect",
+            targetId: batchId,
+            meta: { rows: rows.length, imported, skipped: skipped.length, errors: errors.length }
+          });
+        }
+
+        return res.json({
+          ok: true,
+          dryRun,
+          batchId: dryRun ? null : batchId,
+          rows: rows.length,
+          valid: accepted.length,
+          imported,
+          skipped,
+          errors
+        });
+      } catch (err) {
+        console.error("Prospect import error:", err?.message || err);
+        return res.status(500).json({ ok: false, error: "Could not import prospects." });
+      }
+    }
+  );
+
+  // ?status=pending|scanned|skipped&batch=<batch id>&limit=
+  router.get("/prospects", canRead, async (req, res) => {
+    try {
+      const status = safeString(req.query.status);
+      if (status && !PROSPECT_STATUSES.includes(status)) {
+        return res.status(400).json({ ok: false, error: `status must be one of ${PROSPECT_STATUSES.join(", ")}.` });
+      }
+
+      const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+      const batch = safeString(req.query.batch);
+      if (batch && !/^[0-9a-f-]{36}$/i.test(batch)) return res.status(400).json({ ok: false, error: "Invalid batch id." });
+
+      let query = supabase.from(PROSPECTS_TABLE).select("*", { count: "exact" });
+      if (status) query = query.eq("status", status);
+      if (batch) query = query.eq("batch_id", batch);
+
+      const { data, error, count } = await query.order("created_at", { ascending: false }).limit(limit);
+      if (error) throw new Error(error.message);
+
+      return res.json({ ok: true, prospects: data || [], total: count ?? 0 });
+    } catch (err) {
+      console.error("Prospects error:", err?.message || err);
+      return res.status(500).json({ ok: false, error: "Could not load prospects." });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,169 @@
+// routes/staff.js (ESM)
+//
+// Staff accounts, API keys and the audit log. Admin role only.
+
+import express from "express";
+import { ROLES, generateApiKey, hashPassword } from "../lib/auth.js";
+import { isValidEmailFormat, safeString } from "../lib/input.js";
+import { API_KEYS_TABLE, AUDIT_LOG_TABLE, STAFF_TABLE } from "../lib/tables.js";
+
+const STAFF_COLUMNS = "id, email, name, role, active, created_at, last_login_at";
+const API_KEY_COLUMNS = "id, name, role, key_prefix, active, created_at, last_used_at";
+
+function passwordError(password) {
+  if (password.length < 12) return "Password must be at least 12 characters.";
+  return null;
+}
+
+export function createStaffRouter({ supabase, auth }) {
+  const router = express.Router();
+  const canManage = auth.authorize("staff:manage");
+
+  router.get("/staff", canManage, async (req, res) => {
+    try {
+      const { data, error } = await supabase.from(STAFF_TABLE).select(STAFF_COLUMNS).order("created_at", { ascending: true });
+      if (error) return res.status(500).json({ ok: false, error: error.message });
+      return res.json({ ok: true, staff: data || [], roles: ROLES });
+    } catch (err) {
+      console.error("Staff list error:", err?.message || err);
+      return res.status(500).json({ ok: false, error: "Could not load staff." });
+    }
+  });
+
+  router.post("/staff", canManage, async (req, res) => {
+    try {
+      const email = safeString(req.body?.email).toLowerCase();
+      const name = safeString(req.body?.name) || null;
+      const role = safeString(req.body?.role);
+      const password = String(req.body?.password || "");
+
+      if (!isValidEmailFormat(email)) return res.status(400).json({ ok: false, error: "A valid email is required." });
+      if (!ROLES.includes(role)) return res.status(400).json({ ok: false, error: `Role must be one of: ${ROLES.join(", ")}.` });
+      const pwErr = passwordError(password);
+      if (pwErr) return res.status(400).json({ ok: false, error: pwErr });
+
+      const { data, error } = await supabase
+        .from(STAFF_TABLE)
+        .insert({ email, name, role, active: true, password_hash: hashPassword(password) })
+        .select(STAFF_COLUMNS)
+        .single();
+
+      if (error) return res.status(error.code === "23505" ? 409 : 500).json({ ok: false, error: error.message });
+
+      await auth.audit(req, "staff.create", { targetType: "staff", targetId: data.id, meta: { email, role } });
+      return res.status(201).json({ ok: true, staff: data });
+    } catch (err) {
+      console.error("Staff create error:", err?.message || err);
+      return res.status(500).json({ ok: false, error: "Could not create staff member." });
+    }
+  });
+
+  router.patch("/staff/:id", canManage, async (req, res) => {
+    try {
+      const patch = {};
+      if (req.body?.role !== undefined) {
+        if (!ROLES.includes(req.body.role)) return res.status(400).json({ ok: false, error: `Role must be one of: ${ROLES.join(", ")}.` });
+        patch.role = req.body.role;
+      }
+      if (req.body?.active !== undefined) patch.active = Boolean(req.body.active);
+      if (req.body?.name !== undefined) patch.name = safeString(req.body.name) || null;
+      if (req.body?.password !== undefined) {
+        const pwErr = passwordError(String(req.body.password));
+        if (pwErr) return res.status(400).json({ ok: false, error: pwErr });
+        patch.password_hash = hashPassword(String(req.body.password));
+      }
+
+      if (!Object.keys(patch).length) return res.status(400).json({ ok: false, error: "Nothing to update." });
+
+      const { data, error } = await supabase.from(STAFF_TABLE).update(patch).eq("id", req.params.id).select(STAFF_COLUMNS).maybeSingle();
+      if (error) return res.status(500).json({ ok: false, error: error.message });
+      if (!data) return res.status(404).json({ ok: false, error: "Staff member not found." });
+
+      const changed = Object.keys(patch).map((k) => (k === "password_hash" ? "password" : k));
+      await auth.audit(req, "staff.update", { targetType: "staff", targetId: data.id, meta: { changed } });
+      return res.json({ ok: true, staff: data });
+    } catch (err) {
+      console.error("Staff update error:", err?.message || err);
+      return res.status(500).json({ ok: false, error: "Could not update staff member." });
+    }
+  });
+
+  router.get("/api-keys", canManage, async (req, res) => {
+    try {
+      const { data, error } = await supabase.from(API_KEYS_TABLE).select(API_KEY_COLUMNS).order("created_at", { ascending: false });
+      if (error) return res.status(500).json({ ok: false, error: error.message });
+      return res.json({ ok: true, apiKeys: data || [] });
+    } catch (err) {
+      console.error("API key list error:", err?.message || err);
+      return res.status(500).json({ ok: false, error: "Could not load API keys." });
+    }
+  });
+
+  // The plain key is only returned here; only its hash is stored
+  router.post("/api-keys", canManage, async (req, res) => {
+    try {
+      const name = safeString(req.body?.name);
+      const role = safeString(req.body?.role);
+      if (!name) return res.status(400).json({ ok: false, error: "A key name is required." });
+      if (!ROLES.includes(role)) return res.status(400).json({ ok: false, error: `Role must be one of: ${ROLES.join(", ")}.` });
+
+      const { key, keyHash, keyPrefix } = generateApiKey();
+
+      const { data, error } = await supabase
+        .from(API_KEYS_TABLE)
+        .insert({ name, role, key_hash: keyHash, key_prefix: keyPrefix, active: true, created_by: req.actor.id })
+        .select(API_KEY_COLUMNS)
+        .single();
+
+      if (error) return res.status(500).json({ ok: false, error: error.message });
+
+      await auth.audit(req, "api_key.create", { targetType: "api_key", targetId: data.id, meta: { name, role } });
+      return res.status(201).json({ ok: true, apiKey: data, key });
+    } catch (err) {
+      console.error("API key create error:", err?.message || err);
+      return res.status(500).json({ ok: false, error: "Could not create API key." });
+    }
+  });
+
+  router.delete("/api-keys/:id", canManage, async (req, res) => {
+    try {
+      const { data, error } = await supabase
+        .from(API_KEYS_TABLE)
+        .update({ active: false })
+        .eq("id", req.params.id)
+        .select(API_KEY_COLUMNS)
+        .maybeSingle();
+
+      if (error) return res.status(500).json({ ok: false, error: error.message });
+      if (!data) return res.status(404).json({ ok: false, error: "API key not found." });
+
+      await auth.audit(req, "api_key.revoke", { targetType: "api_key", targetId: data.id });
+      return res.json({ ok: true, apiKey: data });
+    } catch (err) {
+      console.error("API key revoke error:", err?.message || err);
+      return res.status(500).json({ ok: false, error: "Could not revoke API key." });
+    }
+  });
+
+  // Filter by ?actor=, ?action=, or a record with ?targetType=&targetId=
+  router.get("/audit", auth.authorize("audit:read"), async (req, res) => {
+    try {
+      const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 500);
+      let query = supabase.from(AUDIT_LOG_TABLE).select("*").order("created_at", { ascending: false }).limit(limit);
+
+      if (req.query.actor) query = query.eq("actor_id", safeString(req.query.actor));
+      if (req.query.action) query = query.eq("action", safeString(req.query.action));
+      if (req.query.targetType) query = query.eq("target_type", safeString(req.query.targetType));
+      if (req.query.targetId) query = query.eq("target_id", safeString(req.query.targetId));
+
+      const { data, error } = await query;
+      if (error) return res.status(500).json({ ok: false, error: error.message });
+      return res.json({ ok: true, entries: data || [] });
+    } catch (err) {
+      console.error("Audit list error:", err?.message || err);
+      return res.status(500).json({ ok: false, error: "Could not load audit log." });
+    }
+  });
+
+  return router;
+}
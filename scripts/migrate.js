@@ -0,0 +1,52 @@
+// scripts/migrate.js (ESM)
+//
+// Applies pending SQL migrations (see lib/migrations.js).
+//
+//   npm run migrate               apply everything pending
+//   npm run migrate -- --status   list migrations without applying
+//
+// DATABASE_URL is the Postgres connection string (Supabase: Project
+// Settings > Database), not the API URL.
+
+import "dotenv/config";
+import pg from "pg";
+import { loadMigrations, migrationsDir, runMigrations } from "../lib/migrations.js";
+import { SCHEMA_MIGRATIONS_TABLE } from "../lib/tables.js";
+
+const DATABASE_URL = (process.env.DATABASE_URL || "").trim();
+
+async function status(client, dir) {
+  const { rows } = await client.query(`select to_regclass($1) as exists`, [SCHEMA_MIGRATIONS_TABLE]);
+  const applied = rows[0].exists ? (await client.query(`select version, applied_at from ${SCHEMA_MIGRATIONS_TABLE}`)).rows : [];
+  const appliedAt = new Map(applied.map((r) => [Number(r.version), r.applied_at]));
+
+  for (const m of loadMigrations(dir)) {
+    const at = appliedAt.get(m.version);
+    console.log(`${at ? "applied" : "pending"}  ${m.file}${at ? `  (${new Date(at).toISOString()})` : ""}`);
+  }
+}
+
+async function main() {
+  if (!DATABASE_URL) {
+    console.error("Missing DATABASE_URL.");
+    process.exit(1);
+  }
+
+  const dir = migrationsDir();
+  const client = new pg.Client({ connectionString: DATABASE_URL });
+  await client.connect();
+
+  try {
+    if (process.argv.includes("--status")) return await status(client, dir);
+
+    const applied = await runMigrations(client, { dir });
+    console.log(applied.length ? `Applied ${applied.length} migration(s). Schema is at version ${applied[applied.length - 1]}.` : "Schema is up to date.");
+  } finally {
+    await client.end();
+  }
+}
+
+main().catch((err) => {
+  console.error("Migration failed:", err?.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,89 @@
+// Admin lead merge (routes/admin.js) mounted on its own with the memory
+// driver. Scans can't create duplicates any more, so they are seeded as rows
+// that differ only in case, like the ones migration 012 folds together.
+
+import assert from "node:assert/strict";
+import express from "express";
+import { after, beforeEach, describe, test } from "node:test";
+import { createStorage } from "../lib/storage/index.js";
+import { LEAD_NOTES_TABLE, LEADS_TABLE, PROSPECTS_TABLE } from "../lib/tables.js";
+import { createAdminRouter } from "../routes/admin.js";
+
+const servers = [];
+
+after(() => {
+  for (const server of servers) server.close();
+});
+
+async function startAdmin(storage) {
+  const auth = {
+    authorize: () => (req, res, next) => next(),
+    audit: async () => {}
+  };
+
+  const app = express();
+  app.use(express.json());
+  app.use("/api/admin", createAdminRouter({ supabase: storage.db, ...storage, engagement: { refresh: async () => {} }, logEvent: async () => {}, auth }));
+
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  servers.push(server);
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+async function insert(storage, table, row) {
+  const { data, error } = await storage.db.from(table).insert(row).select("*").single();
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+describe("POST /api/admin/leads/:id/merge", () => {
+  let storage;
+  let primary;
+  let duplicate;
+
+  beforeEach(async () => {
+    storage = createStorage({ driver: "memory" });
+    primary = await insert(storage, LEADS_TABLE, { email: "Owner@Harbor.example", domain: "harbor.example", scan_count: 1, created_at: "2026-01-01T00:00:00.000Z" });
+    duplicate = await insert(storage, LEADS_TABLE, { email: "owner@harbor.example", domain: "harbor.example", scan_count: 2, created_at: "2026-02-01T00:00:00.000Z" });
+    await insert(storage, LEAD_NOTES_TABLE, { lead_id: duplicate.id, body: "Called back" });
+    await insert(storage, PROSPECTS_TABLE, { lead_id: duplicate.id, domain: "harbor.example" });
+  });
+
+  function merge(base) {
+    return fetch(`${base}/api/admin/leads/${primary.id}/merge`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ ids: [duplicate.id] })
+    });
+  }
+
+  test("folds the duplicate in and moves its notes and prospects", async () => {
+    const res = await merge(await startAdmin(storage));
+    const body = await res.json();
+
+    assert.equal(res.status, 200, body.error);
+    assert.equal(body.lead.email, "owner@harbor.example");
+    assert.equal(body.lead.scan_count, 3);
+    assert.equal(await storage.leads.findById(duplicate.id), null);
+
+    const [note] = (await storage.db.from(LEAD_NOTES_TABLE).select("*")).data;
+    const [prospect] = (await storage.db.from(PROSPECTS_TABLE).select("*")).data;
+    assert.equal(note.lead_id, primary.id);
+    assert.equal(prospect.lead_id, primary.id);
+  });
+
+  test("keeps the duplicate when updating the primary fails", async () => {
+    storage.leads.update = async () => {
+      throw new Error("connection reset");
+    };
+
+    const res = await merge(await startAdmin(storage));
+
+    assert.equal(res.status, 500);
+    assert.ok(await storage.leads.findById(duplicate.id));
+    const [note] = (await storage.db.from(LEAD_NOTES_TABLE).select("*")).data;
+    assert.equal(note.lead_id, duplicate.id);
+  });
+});
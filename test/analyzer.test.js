@@ -0,0 +1,142 @@
+// Analyzer against fixture pages served by a local HTTP server. Loopback is
+// a private address, so these scans opt in with allowPrivateHosts.
+
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { analyzeSite, auditHtml, fetchPage, isPrivateAddress } from "../lib/analyzer.js";
+import { startFixtureServer } from "./support.js";
+
+let fixtures;
+let base;
+
+before(async () => {
+  fixtures = await startFixtureServer();
+  base = fixtures.url;
+});
+
+after(() => fixtures.close());
+
+describe("analyzeSite", () => {
+  test("audits a complete page", async () => {
+    const report = await analyzeSite(`${base}/complete.html`, { allowPrivateHosts: true });
+
+    assert.equal(report.status_code, 200);
+    assert.equal(report.title, "Harbor Plumbing | Emergency Plumbers in Portland");
+    assert.match(report.meta_description, /^Licensed Portland plumbers/);
+    assert.equal(report.h1_count, 1);
+
+    const { audit } = report;
+    assert.deepEqual(audit.headings, { h1: 1, h2: 2, h3: 0, h4: 0, h5: 0, h6: 0 });
+    assert.deepEqual(audit.h1_texts, ["Emergency plumbing in Portland"]);
+    assert.equal(audit.canonical, `${base}/`);
+    assert.equal(audit.has_viewport, true);
+    assert.equal(audit.lang, "en");
+    assert.equal(audit.charset, "utf-8");
+    assert.equal(audit.favicon, true);
+    assert.equal(audit.open_graph.title, "Harbor Plumbing");
+    assert.deepEqual(audit.images, { total: 3, missing_alt: 1, empty_alt: 1, alt_coverage: 67 });
+    assert.deepEqual(audit.links, { total: 5, internal: 1, external: 1, nofollow: 1, mailto: 1, tel: 1, empty: 1 });
+    assert.equal(audit.forms, 1);
+    assert.equal(audit.scripts, 1);
+    assert.equal(audit.stylesheets, 1);
+    assert.equal(audit.structured_data, 1);
+    assert.equal(audit.https, false);
+    assert.equal(audit.truncated, false);
+  });
+
+  test("counts words across adjacent elements in minified markup", async () => {
+    const report = await analyzeSite(`${base}/minified.html`, { allowPrivateHosts: true });
+    assert.equal(report.audit.word_count, 4);
+  });
+
+  test("follows redirects and records each hop", async () => {
+    const report = await analyzeSite(`${base}/moved`, { allowPrivateHosts: true });
+
+    assert.equal(report.final_url, `${base}/complete.html`);
+    assert.deepEqual(report.audit.redirects, [{ from: `${base}/moved`, to: `${base}/complete.html`, status: 301 }]);
+  });
+
+  test("gives up on redirect loops", async () => {
+    await assert.rejects(analyzeSite(`${base}/loop`, { allowPrivateHosts: true, maxRedirects: 3 }), { code: "TOO_MANY_REDIRECTS" });
+  });
+
+  test("rejects pages that aren't HTML", async () => {
+    await assert.rejects(analyzeSite(`${base}/data.json`, { allowPrivateHosts: true }), { code: "NOT_HTML" });
+  });
+
+  test("reports HTTP errors", async () => {
+    await assert.rejects(analyzeSite(`${base}/missing.html`, { allowPrivateHosts: true }), { code: "HTTP_ERROR" });
+  });
+
+  test("refuses private addresses unless allowed", async () => {
+    await assert.rejects(analyzeSite(`${base}/complete.html`), { code: "BLOCKED_HOST" });
+    await assert.rejects(analyzeSite(`http://localhost:${new URL(base).port}/complete.html`), { code: "BLOCKED_HOST" });
+  });
+
+  test("refuses loopback written as IPv4-mapped IPv6", async () => {
+    const { port } = new URL(base);
+    for (const host of ["[::ffff:127.0.0.1]", "[::ffff:7f00:1]", "[0:0:0:0:0:ffff:7f00:1]", "[::127.0.0.1]"]) {
+      await assert.rejects(analyzeSite(`http://${host}:${port}/complete.html`), { code: "BLOCKED_HOST" }, host);
+    }
+  });
+});
+
+describe("isPrivateAddress", () => {
+  test("flags private and reserved ranges in every notation", () => {
+    const blocked = [
+      "127.0.0.1",
+      "10.1.2.3",
+      "100.64.0.1",
+      "169.254.169.254",
+      "172.31.255.255",
+      "192.0.0.8",
+      "192.168.1.1",
+      "198.19.0.1",
+      "224.0.0.1",
+      "::1",
+      "::",
+      "::ffff:10.0.0.1",
+      "::ffff:a9fe:a9fe",
+      "64:ff9b::7f00:1",
+      "fd00::1",
+      "fe80::1",
+      "febf::1"
+    ];
+    for (const ip of blocked) assert.equal(isPrivateAddress(ip), true, ip);
+  });
+
+  test("allows public addresses", () => {
+    for (const ip of ["93.184.216.34", "172.32.0.1", "100.128.0.1", "::ffff:5db8:d822", "2606:4700::1111"]) {
+      assert.equal(isPrivateAddress(ip), false, ip);
+    }
+  });
+});
+
+describe("fetchPage", () => {
+  test("stops reading at maxBytes", async () => {
+    const page = await fetchPage(`${base}/large.html`, { allowPrivateHosts: true, maxBytes: 1000 });
+
+    assert.equal(page.bytes, 1000);
+    assert.equal(page.truncated, true);
+    assert.equal(page.html.length, 1000);
+  });
+
+  test("times out slow sites", async () => {
+    await assert.rejects(fetchPage(`${base}/slow.html`, { allowPrivateHosts: true, timeoutMs: 200 }), { code: "TIMEOUT" });
+  });
+});
+
+describe("auditHtml", () => {
+  test("leaves scripts and styles out of the word count", () => {
+    const { audit } = auditHtml("<body><style>p{}</style><p>Two words</p><script>var hidden = 1;</script></body>", "https://example.com/");
+    assert.equal(audit.word_count, 2);
+  });
+
+  test("handles an empty document", () => {
+    const report = auditHtml("", "https://example.com/");
+
+    assert.equal(report.title, null);
+    assert.equal(report.h1_count, 0);
+    assert.equal(report.audit.word_count, 0);
+  });
+});
@@ -0,0 +1,311 @@
+// The whole backend run offline: server.js on the memory driver with the
+// outbox mail transport, scanning the local fixture site.
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { after, before, describe, test } from "node:test";
+import { ADMIN_KEY, startApp, startFixtureServer, waitForScan } from "./support.js";
+
+const admin = { "x-api-key": ADMIN_KEY };
+const json = { "content-type": "application/json" };
+
+let fixtures;
+let app;
+
+before(async () => {
+  fixtures = await startFixtureServer();
+  app = await startApp();
+});
+
+after(() => {
+  app?.stop();
+  fixtures?.close();
+});
+
+async function scan(body) {
+  const res = await app.request("/api/scans", { method: "POST", headers: json, body: JSON.stringify(body) });
+  const data = await res.json();
+  assert.equal(res.status, 202, data.error);
+  return waitForScan(app, data.job.id);
+}
+
+async function adminGet(path) {
+  const res = await app.request(`/api/admin${path}`, { headers: admin });
+  return { status: res.status, body: await res.json() };
+}
+
+describe("scans", () => {
+  let lead;
+
+  before(async () => {
+    const job = await scan({ email: "Owner@Harbor.example", name: "Pat", businessName: "Harbor Plumbing", website: fixtures.url });
+    assert.equal(job.status, "done", job.error);
+
+    const { body } = await adminGet("/leads?q=owner@harbor.example");
+    lead = body.leads[0];
+  });
+
+  test("analyzes the site and stores a lead", () => {
+    assert.ok(lead, "lead was saved");
+    assert.equal(lead.email, "owner@harbor.example");
+    assert.equal(lead.domain, new URL(fixtures.url).host);
+    assert.equal(lead.business_name, "Harbor Plumbing");
+    assert.equal(lead.scan_count, 1);
+    assert.equal(typeof lead.score, "number");
+  });
+
+  test("emails the report with tracked links that land on the timeline", async () => {
+    const { messages } = await (await app.request("/dev/outbox?format=json")).json();
+    const sent = messages.find((m) => m.to === "owner@harbor.example");
+    assert.ok(sent, "report email is in the outbox");
+
+    const { message } = await (await app.request(`/dev/outbox/${sent.id}?format=json`)).json();
+    const link = /href="[^"]*(\/r\?[^"]+)"/.exec(message.html)?.[1];
+    assert.ok(link, "report email has a tracked link");
+
+    // Handlebars escapes = as well as &
+    const click = await app.request(link.replace(/&#x3D;/g, "=").replace(/&amp;/g, "&"), { redirect: "manual" });
+    assert.equal(click.status, 302);
+
+    const { status, body } = await adminGet(`/leads/${lead.id}`);
+    assert.equal(status, 200, body.error);
+    assert.equal(body.lead.id, lead.id);
+    assert.equal(body.report.url_hash, lead.url_hash);
+    assert.ok(body.events.some((e) => e.url_hash === lead.url_hash));
+  });
+
+  test("counts a rescan on the same lead", async () => {
+    const job = await scan({ email: "owner@harbor.example", website: `${fixtures.url}/` });
+    assert.equal(job.status, "done", job.error);
+
+    const { body } = await adminGet("/leads?q=owner@harbor.example");
+    assert.equal(body.total, 1);
+    assert.equal(body.leads[0].id, lead.id);
+    assert.equal(body.leads[0].scan_count, 2);
+  });
+
+  test("keeps one lead when the same contact scans twice at once", async () => {
+    const body = { email: "race@harbor.example", website: fixtures.url };
+    const jobs = await Promise.all([scan(body), scan({ ...body, refresh: true })]);
+    assert.deepEqual(
+      jobs.map((j) => j.status),
+      ["done", "done"]
+    );
+
+    const { body: list } = await adminGet("/leads?q=race@harbor.example");
+    assert.equal(list.total, 1);
+    assert.equal(list.leads[0].scan_count, 2);
+  });
+
+  test("exports leads as CSV", async () => {
+    const res = await app.request("/api/admin/leads/export?format=csv", { headers: admin });
+    const csv = await res.text();
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /text\/csv/);
+    assert.match(csv, /owner@harbor\.example/);
+  });
+
+  test("rejects requests that fail validation", async () => {
+    const res = await app.request("/api/scans", { method: "POST", headers: json, body: JSON.stringify({ email: "nope", website: fixtures.url }) });
+    assert.equal(res.status, 400);
+  });
+});
+
+describe("admin", () => {
+  test("requires a key or session", async () => {
+    const res = await app.request("/api/admin/leads");
+    assert.equal(res.status, 401);
+  });
+
+  test("returns 404 for an unknown lead", async () => {
+    const { status } = await adminGet("/leads/00000000-0000-0000-0000-000000000000");
+    assert.equal(status, 404);
+  });
+
+  test("imports prospects from a CSV", async () => {
+    const csv = "Business Name,Website,Email\r\nHarbor Plumbing,harbor.example,owner@harbor.example\r\nBroken,not a site,bad\r\n";
+    const res = await app.request("/api/admin/prospects/import", { method: "POST", headers: { ...admin, "content-type": "text/csv" }, body: csv });
+    const body = await res.json();
+
+    assert.equal(res.status, 200, body.error);
+    assert.equal(body.imported, 1);
+    assert.deepEqual(
+      body.errors.map((e) => [e.row, e.field]),
+      [
+        [3, "email"],
+        [3, "website"]
+      ]
+    );
+
+    const { body: list } = await adminGet(`/prospects?batch=${body.batchId}`);
+    assert.equal(list.total, 1);
+    assert.equal(list.prospects[0].domain, "harbor.example");
+  });
+});
+
+describe("email verification", () => {
+  let verifying;
+
+  before(async () => {
+    verifying = await startApp({ EMAIL_VERIFICATION: "true" });
+  });
+
+  after(() => verifying?.stop());
+
+  async function outbox(to) {
+    const { messages } = await (await verifying.request("/dev/outbox?format=json")).json();
+    return messages.filter((m) => m.to === to);
+  }
+
+  test("confirms on POST and sends every held report for the address", async () => {
+    const email = "two-sites@harbor.example";
+    const { port } = new URL(fixtures.url);
+
+    for (const website of [fixtures.url, `http://localhost:${port}`]) {
+      const res = await verifying.request("/api/scans", { method: "POST", headers: json, body: JSON.stringify({ email, website }) });
+      const { job } = await res.json();
+      assert.equal((await waitForScan(verifying, job.id)).status, "done");
+    }
+
+    const held = await outbox(email);
+    assert.equal(held.length, 2, "one confirmation email per scan");
+
+    const { message } = await (await verifying.request(`/dev/outbox/${held[0].id}?format=json`)).json();
+    const token = /\/api\/verify-email\?token(?:=|&#x3D;)([^"&\s]+)/.exec(message.html)?.[1];
+    assert.ok(token, "confirmation email has a link");
+
+    // Opening the link (or a scanner prefetching it) only shows the button
+    const page = await verifying.request(`/api/verify-email?token=${token}`);
+    assert.equal(page.status, 200);
+    assert.match(await page.text(), /<form method="post"/);
+    assert.equal((await outbox(email)).length, 2);
+
+    const confirm = await verifying.request("/api/verify-email", {
+      method: "POST",
+      headers: { "content-type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({ token: decodeURIComponent(token) })
+    });
+    assert.equal(confirm.status, 200);
+
+    const sent = await outbox(email);
+    assert.equal(sent.length, 4, "a report for each site");
+  });
+});
+
+describe("integrations", () => {
+  const secret = "test-webhook-secret";
+  const tiers = JSON.parse(fs.readFileSync(new URL("../config/packages.json", import.meta.url), "utf8")).packages.map((p) => p.tier);
+  let hooked;
+
+  before(async () => {
+    hooked = await startApp((url) => ({
+      INTEGRATION_RECEIVER: "true",
+      INTEGRATION_WEBHOOK_URL: `${url}/dev/integrations/webhook`,
+      INTEGRATION_WEBHOOK_SECRET: secret,
+      INTEGRATION_HUBSPOT_URL: `${url}/dev/integrations/hubspot`,
+      INTEGRATION_HUBSPOT_TOKEN: "test-hubspot-token",
+      INTEGRATION_SLACK_URL: `${url}/dev/integrations/slack?fail=500`,
+      INTEGRATION_MAX_ATTEMPTS: "2",
+      INTEGRATION_RETRY_SECONDS: "0.01"
+    }));
+
+    const res = await hooked.request("/api/scans", {
+      method: "POST",
+      headers: json,
+      body: JSON.stringify({ email: "hooks@harbor.example", businessName: "Harbor Plumbing", website: fixtures.url })
+    });
+    const { job } = await res.json();
+    assert.equal((await waitForScan(hooked, job.id)).status, "done");
+  });
+
+  after(() => hooked?.stop());
+
+  async function received(name, predicate = () => true) {
+    for (let i = 0; i < 100; i++) {
+      const { received: list } = await (await hooked.request(`/dev/integrations?integration=${name}`)).json();
+      const matches = list.filter(predicate);
+      if (matches.length) return matches;
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+    throw new Error(`${name} received nothing`);
+  }
+
+  async function deliveries(query) {
+    const res = await hooked.request(`/api/admin/integrations/deliveries?${query}`, { headers: admin });
+    return (await res.json()).deliveries;
+  }
+
+  test("signs webhook deliveries and sends the event envelope", async () => {
+    const [hit] = await received("webhook", (r) => r.headers.event === "lead.created");
+
+    assert.equal(hit.status, 200);
+    assert.equal(hit.signature, "valid");
+    assert.equal(hit.body.type, "lead.created");
+    assert.equal(hit.headers.event_id, hit.body.id);
+    assert.equal(hit.body.data.lead.email, "hooks@harbor.example");
+    assert.ok(tiers.includes(hit.body.data.lead.recommended_tier));
+  });
+
+  test("maps the lead to a HubSpot contact and deal", async () => {
+    const [hit] = await received("hubspot", (r) => r.headers.event === "lead.created");
+
+    assert.equal(hit.headers.authorization, "present");
+    assert.equal(hit.body.contact.properties.email, "hooks@harbor.example");
+    assert.equal(hit.body.contact.properties.company, "Harbor Plumbing");
+    assert.match(hit.body.deal.properties.dealname, /^Harbor Plumbing - /);
+  });
+
+  test("moves a delivery the receiver keeps failing to the dead-letter log", async () => {
+    const attempts = await received("slack", (r) => r.headers.event === "lead.created" && r.status === 500);
+    assert.match(attempts[0].body.text, /^New lead: \*Harbor Plumbing\*/);
+
+    let dead = [];
+    for (let i = 0; i < 100 && !dead.length; i++) {
+      dead = await deliveries("status=dead&integration=slack");
+      if (!dead.length) await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+
+    assert.equal(dead.length, 1);
+    assert.equal(dead[0].attempts, 2);
+    assert.equal(dead[0].error_code, "HTTP_500");
+    assert.equal((await received("slack", (r) => r.headers.delivery === dead[0].id)).length, 2);
+  });
+
+  test("test sends use a real package from the catalog", async () => {
+    const res = await hooked.request("/api/admin/integrations/webhook/test", { method: "POST", headers: { ...admin, ...json }, body: "{}" });
+    assert.equal(res.status, 200);
+
+    const [hit] = await received("webhook", (r) => r.body?.test === true);
+    const { lead } = hit.body.data;
+    assert.equal(hit.signature, "valid");
+    assert.ok(tiers.includes(lead.recommended_tier), lead.recommended_tier);
+    assert.equal(lead.recommended_discount_percent > 0, true);
+  });
+});
+
+describe("login", () => {
+  test("limits attempts per email address", async () => {
+    const attempt = () =>
+      app.request("/api/auth/login", { method: "POST", headers: json, body: JSON.stringify({ email: "Guess@harbor.example", password: "wrong" }) });
+
+    for (let i = 0; i < 5; i++) assert.equal((await attempt()).status, 401);
+
+    const res = await attempt();
+    const body = await res.json();
+    assert.equal(res.status, 429);
+    assert.equal(body.code, "RATE_LIMITED");
+    assert.ok(Number(res.headers.get("retry-after")) > 0);
+  });
+});
+
+describe("signed links", () => {
+  const garbled = `eyJ.${encodeURIComponent("é".repeat(43))}`;
+
+  test("answer a malformed token with 400, not a crash", async () => {
+    for (const path of [`/unsubscribe?token=${garbled}`, `/report/${garbled}`, `/r?l=${garbled}`]) {
+      const res = await app.request(path, { redirect: "manual" });
+      assert.equal(res.status, 400, path);
+    }
+  });
+});
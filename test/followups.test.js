@@ -0,0 +1,51 @@
+// Follow-up scheduler (lib/followups.js) on the memory driver with a
+// stand-in sender.
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { createFollowupScheduler } from "../lib/followups.js";
+import { createStorage } from "../lib/storage/index.js";
+
+const steps = [{ id: "reminder", afterHours: 24, subject: "Reminder", ctaTarget: "book_call" }];
+
+async function setup(sendStep) {
+  const { leads, events } = createStorage({ driver: "memory" });
+  const scannedAt = new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString();
+  const lead = await leads.insertIfNew({ email: "owner@harbor.example", domain: "harbor.example", last_seen_at: scannedAt });
+  const logged = [];
+
+  const scheduler = createFollowupScheduler({
+    leads,
+    events,
+    steps,
+    sendStep,
+    isSuppressed: async () => false,
+    logEvent: async (event) => logged.push(event.eventType)
+  });
+
+  return { scheduler, leads, lead, logged };
+}
+
+describe("createFollowupScheduler", () => {
+  test("records a step that went out", async () => {
+    const { scheduler, leads, lead, logged } = await setup(async () => true);
+    await scheduler.tick();
+
+    const saved = await leads.findById(lead.id);
+    assert.deepEqual(saved.followups_sent, ["reminder"]);
+    assert.deepEqual(logged, ["followup_sent"]);
+  });
+
+  test("leaves a step that wasn't sent due for the next tick", async () => {
+    let calls = 0;
+    const { scheduler, leads, lead, logged } = await setup(async () => ++calls > 1);
+
+    await scheduler.tick();
+    assert.deepEqual((await leads.findById(lead.id)).followups_sent ?? [], []);
+    assert.deepEqual(logged, []);
+
+    await scheduler.tick();
+    assert.deepEqual((await leads.findById(lead.id)).followups_sent, ["reminder"]);
+    assert.equal(calls, 2);
+  });
+});
@@ -0,0 +1,108 @@
+// Job queue retries and timeouts (lib/jobs.js).
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { createJobQueue } from "../lib/jobs.js";
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function queue(options) {
+  return createJobQueue({ concurrency: 1, maxAttempts: 3, timeoutMs: 1000, retryDelayMs: 1, ...options });
+}
+
+describe("createJobQueue", () => {
+  test("retries a failed attempt", async () => {
+    let calls = 0;
+    const jobs = queue({
+      handler: async () => {
+        calls++;
+        if (calls === 1) throw new Error("flaky");
+        return { ok: true };
+      }
+    });
+
+    const job = await jobs.wait(jobs.enqueue({}).id);
+
+    assert.equal(job.status, "done");
+    assert.equal(job.attempts, 2);
+    assert.deepEqual(job.result, { ok: true });
+  });
+
+  test("stops when shouldRetry says so", async () => {
+    const jobs = queue({
+      handler: async () => {
+        throw Object.assign(new Error("blocked"), { code: "BLOCKED_HOST" });
+      },
+      shouldRetry: (err) => err.code !== "BLOCKED_HOST"
+    });
+
+    const job = await jobs.wait(jobs.enqueue({}).id);
+
+    assert.equal(job.status, "failed");
+    assert.equal(job.attempts, 1);
+    assert.equal(job.error_code, "BLOCKED_HOST");
+  });
+
+  test("aborts a timed-out attempt so it skips its side effects", async () => {
+    const effects = [];
+    const jobs = queue({
+      timeoutMs: 50,
+      maxAttempts: 2,
+      handler: async (job, setStage, signal) => {
+        if (job.attempts === 1) await sleep(100);
+        signal.throwIfAborted();
+        effects.push(job.attempts);
+        return {};
+      }
+    });
+
+    const job = await jobs.wait(jobs.enqueue({}).id);
+    await sleep(100);
+
+    assert.equal(job.status, "done");
+    assert.equal(job.attempts, 2);
+    assert.deepEqual(effects, [2]);
+  });
+
+  test("never retries an attempt that reached a no-retry stage", async () => {
+    let sends = 0;
+    const jobs = queue({
+      timeoutMs: 50,
+      noRetryStages: ["emailing"],
+      handler: async (job, setStage) => {
+        setStage("emailing");
+        sends++;
+        await sleep(100);
+        return {};
+      }
+    });
+
+    const job = await jobs.wait(jobs.enqueue({}).id);
+
+    assert.equal(job.status, "failed");
+    assert.equal(job.error_code, "JOB_TIMEOUT");
+    assert.equal(job.attempts, 1);
+    assert.equal(sends, 1);
+  });
+
+  test("fails a resumed job that was interrupted in a no-retry stage", async () => {
+    let calls = 0;
+    const jobs = queue({
+      noRetryStages: ["emailing"],
+      handler: async () => {
+        calls++;
+        return {};
+      }
+    });
+
+    const interrupted = jobs.enqueue(null, { id: "a", status: "emailing", payload: {}, attempts: 1 });
+    const resumed = jobs.enqueue(null, { id: "b", status: "analyzing", payload: {}, attempts: 1 });
+
+    assert.equal(interrupted.status, "failed");
+    assert.equal(interrupted.error_code, "INTERRUPTED");
+    assert.equal((await jobs.wait(resumed.id)).status, "done");
+    assert.equal(calls, 1);
+  });
+});
@@ -0,0 +1,82 @@
+// Migration files and the startup schema check, without a database: the
+// Supabase client is a stand-in that knows a given set of tables.
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { describe, test } from "node:test";
+import { checkSchemaVersion, expectedSchemaVersion, loadMigrations } from "../lib/migrations.js";
+import { APP_TABLES, SCHEMA_MIGRATIONS_TABLE } from "../lib/tables.js";
+
+// Answers like PostgREST: rows for known tables, PGRST205 for the rest
+function fakeSupabase({ version, tables }) {
+  return {
+    from(table) {
+      const known = table === SCHEMA_MIGRATIONS_TABLE ? version !== null : tables.includes(table);
+      const result = known
+        ? { data: table === SCHEMA_MIGRATIONS_TABLE ? [{ version }] : [], error: null }
+        : { data: null, error: { code: "PGRST205", message: `Could not find the table 'public.${table}'` } };
+
+      const query = {
+        select: () => query,
+        order: () => query,
+        limit: () => query,
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+      };
+      return query;
+    }
+  };
+}
+
+describe("migrations", () => {
+  test("create every table the code uses", () => {
+    const sql = loadMigrations()
+      .map((m) => m.sql)
+      .join("\n");
+
+    for (const table of APP_TABLES) {
+      assert.match(sql, new RegExp(`create table if not exists ${table} \\(`), `${table} has no migration`);
+    }
+  });
+
+  test("refuse two files with the same version", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "migrations-"));
+    try {
+      fs.writeFileSync(path.join(dir, "001_a.sql"), "select 1;");
+      fs.writeFileSync(path.join(dir, "001_b.sql"), "select 1;");
+      assert.throws(() => loadMigrations(dir), /share version 1/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("checkSchemaVersion", () => {
+  const expected = expectedSchemaVersion();
+
+  test("passes when the version matches and every table exists", async () => {
+    const schema = await checkSchemaVersion(fakeSupabase({ version: expected, tables: APP_TABLES }));
+    assert.deepEqual(schema, { ok: true, current: expected, expected, missing: [] });
+  });
+
+  test("fails on an older version", async () => {
+    const schema = await checkSchemaVersion(fakeSupabase({ version: expected - 1, tables: APP_TABLES }));
+    assert.equal(schema.ok, false);
+    assert.equal(schema.current, expected - 1);
+  });
+
+  test("treats a missing version table as version 0", async () => {
+    const schema = await checkSchemaVersion(fakeSupabase({ version: null, tables: [] }));
+    assert.equal(schema.current, 0);
+    assert.equal(schema.ok, false);
+  });
+
+  test("fails when a table is missing even at the right version", async () => {
+    const tables = APP_TABLES.filter((t) => t !== "beacon_ai_email_sends");
+    const schema = await checkSchemaVersion(fakeSupabase({ version: expected, tables }));
+
+    assert.equal(schema.ok, false);
+    assert.deepEqual(schema.missing, ["beacon_ai_email_sends"]);
+  });
+});
@@ -0,0 +1,20 @@
+// Shared report page (lib/reportPage.js).
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { brandProfile } from "../lib/brands.js";
+import { renderReportPage } from "../lib/reportPage.js";
+
+const report = { domain: "harbor.example", score: 72, summary: "Solid basics.", issues: [], category_scores: {} };
+
+describe("renderReportPage", () => {
+  test("renders the brand it is given", () => {
+    const brand = { ...brandProfile(), product: "Lighthouse", company: "Acme & Sons", website: "https://acme.example", colors: { ...brandProfile().colors, accent: "#123456" } };
+    const html = renderReportPage({ report, businessName: "Harbor Plumbing", recommendation: null, deadline: null, ctaUrl: null, brand });
+
+    assert.match(html, /Lighthouse Website Report/);
+    assert.match(html, /<a href="https:\/\/acme\.example"[^>]*>Acme &amp; Sons<\/a>/);
+    assert.match(html, /#123456/);
+    assert.doesNotMatch(html, /Shoreline Dev Co/);
+  });
+});
@@ -0,0 +1,149 @@
+// Shared setup for the test suites: a local HTTP server for the fixture
+// pages and the whole backend started offline (memory storage, outbox mail).
+
+import { spawn } from "node:child_process";
+import fs from "node:fs/promises";
+import http from "node:http";
+import net from "node:net";
+
+const FIXTURES = new URL("./fixtures/", import.meta.url);
+const SERVER = new URL("../server.js", import.meta.url);
+
+export const ADMIN_KEY = "test-admin-key";
+
+function listen(server) {
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server.address().port)));
+}
+
+/**
+ * Serves test/fixtures plus a few special paths for the fetcher: /moved and
+ * /loop redirect, /data.json isn't HTML, /large.html is big and /slow.html
+ * takes two seconds. / is complete.html. Resolves with { url, close }.
+ */
+export async function startFixtureServer() {
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+
+    if (pathname === "/moved") {
+      res.writeHead(301, { location: "/complete.html" });
+      return res.end();
+    }
+    if (pathname === "/loop") {
+      res.writeHead(302, { location: "/loop" });
+      return res.end();
+    }
+    if (pathname === "/data.json") {
+      res.writeHead(200, { "content-type": "application/json" });
+      return res.end("{}");
+    }
+    if (pathname === "/large.html") {
+      res.writeHead(200, { "content-type": "text/html" });
+      return res.end(`<html><body>${"<p>word</p>".repeat(2000)}</body></html>`);
+    }
+    if (pathname === "/slow.html") {
+      const timer = setTimeout(() => res.end("<html></html>"), 2000);
+      req.on("close", () => clearTimeout(timer));
+      return;
+    }
+
+    try {
+      const html = await fs.readFile(new URL(pathname === "/" ? "complete.html" : `.${pathname}`, FIXTURES));
+      res.writeHead(200, { "content-type": "text/html; charset=utf-8" });
+      res.end(html);
+    } catch {
+      res.writeHead(404, { "content-type": "text/html" });
+      res.end("<h1>Not found</h1>");
+    }
+  });
+
+  const port = await listen(server);
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    close() {
+      server.closeAllConnections();
+      server.close();
+    }
+  };
+}
+
+async function freePort() {
+  const server = net.createServer();
+  const port = await listen(server);
+  await new Promise((resolve) => server.close(resolve));
+  return port;
+}
+
+/**
+ * Runs server.js in a child process on the memory driver with the outbox
+ * transport, so nothing leaves the machine. env overrides the defaults; pass
+ * a function to build it from the app's URL. Resolves with
+ * { url, request(path, init), stop } once it is listening.
+ */
+export async function startApp(env = {}) {
+  const port = await freePort();
+  const url = `http://127.0.0.1:${port}`;
+  const overrides = typeof env === "function" ? env(url) : env;
+  const child = spawn(process.execPath, [SERVER.pathname], {
+    env: {
+      ...process.env,
+      NODE_ENV: "test",
+      PORT: String(port),
+      PUBLIC_BACKEND_URL: url,
+      STORAGE_DRIVER: "memory",
+      EMAIL_TRANSPORT: "outbox",
+      ANALYZER_ALLOW_PRIVATE_HOSTS: "true",
+      ADMIN_API_KEY: ADMIN_KEY,
+      AUTH_SECRET: "test-auth-secret",
+      LINK_SECRET: "test-link-secret",
+      FOLLOWUPS_ENABLED: "false",
+      ...overrides
+    },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+
+  let output = "";
+  const collect = (chunk) => {
+    output += chunk;
+  };
+  child.stdout.on("data", collect);
+  child.stderr.on("data", collect);
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 10000);
+    child.stdout.on("data", () => {
+      if (output.includes("Server running")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.on("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with ${code}:\n${output}`));
+    });
+  });
+
+  return {
+    url,
+    output: () => output,
+    request(path, init = {}) {
+      return fetch(`${url}${path}`, init);
+    },
+    stop() {
+      child.kill();
+    }
+  };
+}
+
+/** Polls GET /api/scans/:id until the job is done or failed. */
+export async function waitForScan(app, jobId, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+
+  while (Date.now() < deadline) {
+    const { job } = await (await app.request(`/api/scans/${jobId}`)).json();
+    if (job.status === "done" || job.status === "failed") return job;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+
+  throw new Error(`Scan ${jobId} did not finish in ${timeoutMs}ms.`);
+}
@@ -0,0 +1,33 @@
+// Signed link tokens (lib/tokens.js).
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { signToken, verifyToken } from "../lib/tokens.js";
+
+const SECRET = "test-secret";
+
+describe("verifyToken", () => {
+  test("accepts a token it signed for the same purpose", () => {
+    const token = signToken("unsubscribe", { email: "a@example.com" }, SECRET);
+    assert.equal(verifyToken("unsubscribe", token, SECRET).payload.email, "a@example.com");
+  });
+
+  test("rejects another purpose, a changed body and the wrong secret", () => {
+    const token = signToken("unsubscribe", { email: "a@example.com" }, SECRET);
+    const [, sig] = token.split(".");
+    const forged = `${Buffer.from(JSON.stringify({ email: "b@example.com", p: "unsubscribe" })).toString("base64url")}.${sig}`;
+
+    assert.deepEqual(verifyToken("report", token, SECRET), { error: "invalid" });
+    assert.deepEqual(verifyToken("unsubscribe", forged, SECRET), { error: "invalid" });
+    assert.deepEqual(verifyToken("unsubscribe", token, "other-secret"), { error: "invalid" });
+  });
+
+  test("rejects a non-ASCII signature of the right length without throwing", () => {
+    assert.deepEqual(verifyToken("unsubscribe", `eyJ.${"é".repeat(43)}`, SECRET), { error: "invalid" });
+  });
+
+  test("reports an expired token as expired", () => {
+    const token = signToken("report", { h: "abc" }, SECRET, -1);
+    assert.equal(verifyToken("report", token, SECRET).error, "expired");
+  });
+});